@@ -0,0 +1,26 @@
+// Firebase Admin for routes that must read other people's data (e.g. push subscriptions).
+// Configure with FIREBASE_SERVICE_ACCOUNT holding the service-account JSON.
+import { cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { AuthError } from './auth.js';
+
+function app() {
+  if (getApps().length) return getApps()[0];
+  const raw = process.env.FIREBASE_SERVICE_ACCOUNT;
+  if (!raw) throw new AuthError(503, 'FIREBASE_SERVICE_ACCOUNT is not configured');
+  return initializeApp({ credential: cert(JSON.parse(raw)) });
+}
+
+export const adminDb = () => getFirestore(app());
+
+// Resolves the caller's uid from `Authorization: Bearer <ID token>` or throws AuthError
+export async function verifyCaller(req) {
+  const header = req.headers?.authorization || '';
+  if (!header.startsWith('Bearer ')) throw new AuthError(401, 'Sign in required');
+  try {
+    return (await getAuth(app()).verifyIdToken(header.slice(7))).uid;
+  } catch {
+    throw new AuthError(401, 'Invalid ID token');
+  }
+}
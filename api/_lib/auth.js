@@ -0,0 +1,54 @@
+// Resolves the calling staff member from a Firebase ID token.
+// Rather than carry admin credentials, we read the caller's own staff doc through the Firestore
+// REST API *with their token*: Firestore verifies the signature, and the security rules only let
+// a user read their own doc. A forged or expired token simply fails that read.
+import { APP_ID_PATTERN } from './glossary.js';
+
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const STAFF_ROLES = ['agent', 'supervisor', 'admin'];
+
+function decodeClaims(idToken) {
+  try {
+    return JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Firestore REST returns typed values ({ stringValue: 'x' }); we only need flat strings here
+const str = (field) => field?.stringValue ?? null;
+
+export function firestoreDocUrl(docPath) {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) throw new AuthError(503, 'FIREBASE_PROJECT_ID is not configured');
+  return `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${docPath}`;
+}
+
+/**
+ * Returns { uid, idToken, name, role } for a staff caller or throws AuthError.
+ * `roles` narrows who is allowed (defaults to any staff role).
+ */
+export async function requireStaff(req, appId, roles = STAFF_ROLES) {
+  if (!APP_ID_PATTERN.test(String(appId))) throw new AuthError(400, 'Invalid appId');
+  const header = req.headers?.authorization || '';
+  const idToken = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const claims = idToken && decodeClaims(idToken);
+  if (!claims?.user_id) throw new AuthError(401, 'Sign in required');
+
+  const resp = await fetch(firestoreDocUrl(`artifacts/${appId}/staff/${claims.user_id}`), {
+    headers: { Authorization: `Bearer ${idToken}` }
+  });
+  if (resp.status === 401 || resp.status === 403 || resp.status === 404) throw new AuthError(403, 'Staff access required');
+  if (!resp.ok) throw new Error(`Firestore ${resp.status}: ${await resp.text()}`);
+
+  const fields = (await resp.json()).fields || {};
+  const role = str(fields.role);
+  if (!roles.includes(role)) throw new AuthError(403, 'Insufficient role');
+  return { uid: claims.user_id, idToken, name: str(fields.name), role };
+}
@@ -0,0 +1,47 @@
+// Offline language guess for the mock provider, so detection (and everything built on it, like the
+// guest language-switch prompt) behaves the same with no provider configured. Real providers detect
+// far better; this only has to tell the languages hotels offer apart on a typical chat message.
+
+// Scripts that identify a language on their own. Kana is checked before Han: Japanese mixes both.
+const SCRIPTS = [
+  ['ja', /[぀-ヿ]/u],
+  ['ko', /[가-힯]/u],
+  ['zh', /\p{Script=Han}/u],
+  ['hi', /\p{Script=Devanagari}/u],
+  ['ar', /\p{Script=Arabic}/u],
+  ['he', /\p{Script=Hebrew}/u],
+  ['ru', /\p{Script=Cyrillic}/u],
+  ['el', /\p{Script=Greek}/u],
+  ['th', /\p{Script=Thai}/u]
+];
+
+// Latin-script languages: common short words, and letters the others don't use
+const WORDS = {
+  en: 'the and is are you your to of in it for with my on this that what please thanks thank can have be not we i hi hello',
+  es: 'el la los las es son de que en y por para con mi un una no gracias hola por favor usted está habitación necesito',
+  fr: 'le la les est sont de des et en un une pour avec mon ma je vous pas merci bonjour chambre il elle nous',
+  de: 'der die das ist sind und zu mit für ein eine ich sie nicht danke bitte hallo zimmer wir es auf',
+  it: 'il lo la gli le è sono di e per con un una non grazie ciao camera io che',
+  pt: 'o a os as é são de e em um uma para com não obrigado obrigada olá quarto eu você'
+};
+const LETTERS = { es: /[ñ¿¡]/u, fr: /[çœèêë]/u, de: /[äöüß]/u, pt: /[ãõ]/u, it: /[ìò]/u };
+
+const VOCABULARY = Object.fromEntries(Object.entries(WORDS).map(([code, words]) => [code, new Set(words.split(' '))]));
+
+/**
+ * Best guess at the primary language subtag of `text` ('es', 'ja'), or null when there's too little to go on.
+ */
+export function guessLanguage(text) {
+  const value = String(text || '');
+  for (const [code, pattern] of SCRIPTS) if (pattern.test(value)) return code;
+
+  const words = value.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = null;
+  let bestScore = 0;
+  for (const [code, vocabulary] of Object.entries(VOCABULARY)) {
+    let score = words.filter((w) => vocabulary.has(w)).length;
+    if (LETTERS[code]?.test(value)) score += 2;
+    if (score > bestScore) [best, bestScore] = [code, score];
+  }
+  return best;
+}
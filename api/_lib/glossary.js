@@ -0,0 +1,125 @@
+// Per-hotel glossary, applied around every provider (the mock included).
+// Entries live in artifacts/{appId}/glossary as { term, doNotTranslate, translations: { [code]: text } }.
+// Matched terms are swapped for numbered placeholders before the text goes to a provider, then put back
+// as the hotel's own translation for the target language, or as the term itself (do-not-translate terms,
+// and terms with no translation for that language).
+import { createHash } from 'node:crypto';
+import { adminDb, verifyCaller } from './admin.js';
+import { primary } from './providers.js';
+
+const GLOSSARY_TTL_MS = 60 * 1000;
+// Hotel ids end up in Firestore paths; anything with a slash or dots would address another document
+export const APP_ID_PATTERN = /^[\w-]{1,100}$/;
+
+// appId -> { glossary, expires }; a minute-old glossary is fine, and it saves a read per message
+const cache = new Map();
+// `${appId}/${uid}` -> expiry of a confirmed membership, for the same reason
+const members = new Map();
+
+/**
+ * Resolves to { entries, version } for the hotel, or null when there is none or it can't be read
+ * (FIREBASE_SERVICE_ACCOUNT unset). `version` changes whenever an entry does, for the phrase cache key.
+ */
+export async function loadGlossary(appId) {
+  if (!appId || !APP_ID_PATTERN.test(appId)) return null;
+  const hit = cache.get(appId);
+  if (hit && hit.expires > Date.now()) return hit.glossary;
+
+  let glossary = null;
+  try {
+    const snap = await adminDb().collection(`artifacts/${appId}/glossary`).get();
+    const entries = snap.docs
+      .map((d) => d.data())
+      .filter((e) => typeof e.term === 'string' && e.term.trim())
+      .map((e) => ({ term: e.term.trim(), doNotTranslate: !!e.doNotTranslate, translations: e.translations || {} }));
+    if (entries.length) {
+      const version = createHash('sha1').update(JSON.stringify(entries)).digest('hex').slice(0, 12);
+      glossary = { entries, version };
+    }
+  } catch (err) {
+    console.error('[translate] glossary unavailable:', err.message || err);
+  }
+  cache.set(appId, { glossary, expires: Date.now() + GLOSSARY_TTL_MS });
+  return glossary;
+}
+
+/**
+ * loadGlossary for a request, but only when the caller is signed in as one of that hotel's guests or staff.
+ * The glossary holds things like Wi-Fi passwords, which a translation would otherwise reveal to anyone who
+ * names the hotel. Anyone else gets null, so their text is translated without it.
+ */
+export async function loadGlossaryForCaller(req, appId) {
+  if (!appId || !APP_ID_PATTERN.test(appId)) return null;
+  try {
+    const uid = await verifyCaller(req);
+    const key = `${appId}/${uid}`;
+    if (!(members.get(key) > Date.now())) {
+      const db = adminDb();
+      const [user, staff] = await Promise.all([
+        db.doc(`artifacts/${appId}/users/${uid}`).get(),
+        db.doc(`artifacts/${appId}/staff/${uid}`).get()
+      ]);
+      if (!user.exists && !staff.exists) return null;
+      members.set(key, Date.now() + GLOSSARY_TTL_MS);
+    }
+  } catch {
+    return null;
+  }
+  return loadGlossary(appId);
+}
+
+// Translations are keyed by our codes ('es-ES'); a guest on 'es-MX' still gets the Spanish one
+function translationFor(translations, code) {
+  if (!code) return null;
+  if (translations[code]) return translations[code];
+  const match = Object.keys(translations).find((k) => primary(k) === primary(code));
+  return match ? translations[match] : null;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Word boundaries only where the term starts/ends with a letter or digit of a spaced script;
+// CJK terms sit inside running text with no spaces around them
+const SPACED = /[A-Za-z0-9À-ɏЀ-ӿ]/;
+function formPattern(form) {
+  const start = SPACED.test(form[0]) ? '(?<![\\p{L}\\p{N}])' : '';
+  const end = SPACED.test(form[form.length - 1]) ? '(?![\\p{L}\\p{N}])' : '';
+  return `${start}${escapeRegExp(form)}${end}`;
+}
+
+// Providers sometimes space out the placeholder or swap in their target script's brackets ("［# 0］")
+const PLACEHOLDER = /[[［【]\s*#\s*(\d+)\s*[\]］】]/g;
+
+/**
+ * Replaces glossary terms in `text` with placeholders like "[#0]".
+ * Each entry matches its term and, when given, its own translation in the source language.
+ * Returns { text, found } where found[i] is { match, entry } for placeholder i.
+ */
+export function protectTerms(text, glossary, sourceLang) {
+  const forms = [];
+  for (const entry of glossary?.entries || []) {
+    const sourceForm = translationFor(entry.translations, sourceLang);
+    for (const form of new Set([entry.term, sourceForm].filter(Boolean))) forms.push({ form, entry });
+  }
+  if (!forms.length) return { text, found: [] };
+
+  // One pass with the longest forms first, so "Club Lounge" wins over "Lounge"
+  forms.sort((a, b) => b.form.length - a.form.length);
+  const pattern = new RegExp(forms.map((f) => `(${formPattern(f.form)})`).join('|'), 'giu');
+  const found = [];
+  const protectedText = text.replace(pattern, (match, ...groups) => {
+    const index = groups.findIndex((g, i) => i < forms.length && g !== undefined);
+    found.push({ match, entry: forms[index].entry });
+    return `[#${found.length - 1}]`;
+  });
+  return { text: protectedText, found };
+}
+
+// Puts the terms back: the hotel's translation for the target, else the term as the glossary spells it
+export function restoreTerms(translated, found, targetLang) {
+  if (!found.length) return translated;
+  return translated.replace(PLACEHOLDER, (placeholder, i) => {
+    const hit = found[Number(i)];
+    if (!hit) return placeholder;
+    return (!hit.entry.doNotTranslate && translationFor(hit.entry.translations, targetLang)) || hit.entry.term;
+  });
+}
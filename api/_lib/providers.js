@@ -0,0 +1,160 @@
+// Translation providers used by /api/translate.
+// Each provider maps our BCP-47 codes (e.g. `zh-CN`, `en-US`) to whatever its API expects
+// and returns { translated, confidence, detectedLang }. `confidence` is null when the
+// provider doesn't report one; we don't invent numbers.
+// The source language is always left to the provider to detect: sending the sender's chosen language
+// would make it echo that back, and a guest typing in another language is exactly what detection is for.
+// `sourceLang` is only a hint for our own use (the mock's confidence). Providers that can detect without
+// translating also have detect({ text }) -> { detectedLang, confidence }.
+// (Files under api/_lib are not deployed as functions by Vercel.)
+import { guessLanguage } from './detect.js';
+
+const primary = (code) => String(code || '').split(/[-_]/)[0].toLowerCase();
+
+// Detected languages are reported as lower-case primary subtags ('en', 'zh') whatever the provider returns
+const normalizeDetected = (lang) => (lang ? primary(lang) : 'unknown');
+
+// DeepL only accepts regional variants for a handful of target languages, and never for source
+const DEEPL_REGIONAL_TARGETS = { 'en-us': 'EN-US', 'en-gb': 'EN-GB', 'pt-br': 'PT-BR', 'pt-pt': 'PT-PT', 'zh-tw': 'ZH-HANT', 'zh-hant': 'ZH-HANT' };
+const deeplTarget = (code) => {
+  const lower = String(code).toLowerCase();
+  if (DEEPL_REGIONAL_TARGETS[lower]) return DEEPL_REGIONAL_TARGETS[lower];
+  const p = primary(code);
+  if (p === 'en') return 'EN-US';
+  if (p === 'pt') return 'PT-PT';
+  return p.toUpperCase();
+};
+
+// Google keeps the script distinction for Chinese only
+const googleCode = (code) => {
+  const lower = String(code).toLowerCase();
+  if (lower === 'zh-tw' || lower === 'zh-hant') return 'zh-TW';
+  if (primary(code) === 'zh') return 'zh-CN';
+  return primary(code);
+};
+
+const libreCode = (code) => {
+  const lower = String(code).toLowerCase();
+  if (lower === 'zh-tw' || lower === 'zh-hant') return 'zt';
+  return primary(code);
+};
+
+async function readJson(resp, name) {
+  if (!resp.ok) throw new Error(`${name} ${resp.status}: ${await resp.text()}`);
+  return resp.json();
+}
+
+export const deepl = {
+  name: 'deepl',
+  isConfigured: () => !!process.env.DEEPL_API_KEY,
+  async translate({ text, targetLang }) {
+    const key = process.env.DEEPL_API_KEY;
+    // Free-tier keys end in ":fx" and live on a different host
+    const host = key.endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com';
+    const form = new URLSearchParams();
+    form.set('text', text);
+    form.set('target_lang', deeplTarget(targetLang));
+
+    const data = await readJson(await fetch(`${host}/v2/translate`, {
+      method: 'POST',
+      headers: { 'Authorization': `DeepL-Auth-Key ${key}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form
+    }), 'DeepL');
+    const t = data.translations?.[0];
+    if (!t?.text) throw new Error('DeepL returned no translation');
+    return { translated: t.text, confidence: null, detectedLang: normalizeDetected(t.detected_source_language) };
+  }
+};
+
+export const google = {
+  name: 'google',
+  isConfigured: () => !!process.env.GOOGLE_TRANSLATE_API_KEY,
+  async translate({ text, targetLang }) {
+    const url = `https://translation.googleapis.com/language/translate/v2?key=${encodeURIComponent(process.env.GOOGLE_TRANSLATE_API_KEY)}`;
+    const body = { q: text, target: googleCode(targetLang), format: 'text' };
+
+    const data = await readJson(await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), 'Google');
+    const t = data.data?.translations?.[0];
+    if (!t?.translatedText) throw new Error('Google returned no translation');
+    return { translated: t.translatedText, confidence: null, detectedLang: normalizeDetected(t.detectedSourceLanguage) };
+  },
+  async detect({ text }) {
+    const url = `https://translation.googleapis.com/language/translate/v2/detect?key=${encodeURIComponent(process.env.GOOGLE_TRANSLATE_API_KEY)}`;
+    const data = await readJson(await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ q: text })
+    }), 'Google');
+    const d = data.data?.detections?.[0]?.[0];
+    return { detectedLang: normalizeDetected(d?.language), confidence: typeof d?.confidence === 'number' ? d.confidence : null };
+  }
+};
+
+export const libre = {
+  name: 'libre',
+  isConfigured: () => !!process.env.LIBRETRANSLATE_URL,
+  async translate({ text, targetLang }) {
+    const base = process.env.LIBRETRANSLATE_URL.replace(/\/+$/, '');
+    const body = { q: text, source: 'auto', target: libreCode(targetLang), format: 'text' };
+    if (process.env.LIBRETRANSLATE_API_KEY) body.api_key = process.env.LIBRETRANSLATE_API_KEY;
+
+    const data = await readJson(await fetch(`${base}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), 'LibreTranslate');
+    if (!data.translatedText) throw new Error('LibreTranslate returned no translation');
+    // Detection confidence comes as 0-100
+    const detected = data.detectedLanguage;
+    return {
+      translated: data.translatedText,
+      confidence: typeof detected?.confidence === 'number' ? detected.confidence / 100 : null,
+      detectedLang: normalizeDetected(detected?.language)
+    };
+  },
+  async detect({ text }) {
+    const base = process.env.LIBRETRANSLATE_URL.replace(/\/+$/, '');
+    const body = { q: text };
+    if (process.env.LIBRETRANSLATE_API_KEY) body.api_key = process.env.LIBRETRANSLATE_API_KEY;
+    const data = await readJson(await fetch(`${base}/detect`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), 'LibreTranslate');
+    const d = data?.[0];
+    return { detectedLang: normalizeDetected(d?.language), confidence: typeof d?.confidence === 'number' ? d.confidence / 100 : null };
+  }
+};
+
+// Echoes the text so the app still works with no provider configured. The echo is only right when the
+// text is already in the target language: as detected, or as the sender said when there's no guess.
+export const mock = {
+  name: 'mock',
+  isConfigured: () => true,
+  async translate({ text, sourceLang, targetLang }) {
+    const detectedLang = normalizeDetected(guessLanguage(text));
+    const source = detectedLang !== 'unknown' ? detectedLang : sourceLang;
+    const same = !!source && primary(source) === primary(targetLang);
+    return { translated: text, confidence: same ? 1.0 : 0, detectedLang };
+  },
+  async detect({ text }) {
+    return { detectedLang: normalizeDetected(guessLanguage(text)), confidence: null };
+  }
+};
+
+export const PROVIDERS = { deepl, google, libre, mock };
+
+// TRANSLATE_PROVIDERS="google,deepl,mock" sets the fallback order; unconfigured providers are skipped
+export function providerChain() {
+  const names = (process.env.TRANSLATE_PROVIDERS || 'deepl,google,libre,mock')
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+  return names.map((n) => PROVIDERS[n]).filter((p) => p && p.isConfigured());
+}
+
+export { primary };
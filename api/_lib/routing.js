@@ -0,0 +1,37 @@
+// Who answers a new guest conversation. Only staff who have marked themselves on duty are picked.
+// Reading the guest's language counts most, then working in the conversation's department, then the
+// fewest occupied rooms already assigned to them.
+import { STAFF_ROLES } from './auth.js';
+import { primary } from './providers.js';
+
+export const DEFAULT_DEPARTMENT = 'front_desk';
+// Minutes a guest may wait for a reply before escalation, unless hotels/{appId}.slaMinutes says otherwise
+export const DEFAULT_SLA_MINUTES = 10;
+
+export const slaMinutesOf = (hotel) => (Number(hotel?.slaMinutes) > 0 ? Number(hotel.slaMinutes) : DEFAULT_SLA_MINUTES);
+
+/**
+ * members: staff docs ({ id, role, name, language, departments, onDuty });
+ * loads: Map of staff id -> rooms currently assigned. Returns the chosen member or null.
+ */
+export function pickAssignee(members, { language, department = DEFAULT_DEPARTMENT, loads = new Map() }) {
+  const score = (m) => [
+    language?.code && primary(m.language?.code) === primary(language.code) ? 0 : 1,
+    (m.departments || []).includes(department) ? 0 : 1,
+    loads.get(m.id) || 0,
+  ];
+  const ranked = members
+    .filter((m) => STAFF_ROLES.includes(m.role) && m.onDuty)
+    .map((m) => ({ m, s: score(m) }))
+    .sort((a, b) => a.s[0] - b.s[0] || a.s[1] - b.s[1] || a.s[2] - b.s[2]);
+  return ranked[0]?.m || null;
+}
+
+/**
+ * Whether a room doc's guest has waited past the SLA for a reply and it hasn't been escalated yet.
+ * awaitingSince marks the first unanswered guest message; a staff reply clears it and escalatedAt.
+ */
+export function isOverdue(room, slaMinutes, now = Date.now()) {
+  const since = room.awaitingSince?.toMillis?.();
+  return room.lastMessageRole === 'guest' && !room.escalatedAt && !!since && now - since >= slaMinutes * 60000;
+}
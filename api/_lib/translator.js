@@ -0,0 +1,95 @@
+// Provider fallback + phrase cache shared by the translation endpoints.
+import { providerChain } from './providers.js';
+import { protectTerms, restoreTerms } from './glossary.js';
+
+const CACHE_SIZE = Number(process.env.TRANSLATE_CACHE_SIZE) || 500;
+const CACHE_TTL_MS = Number(process.env.TRANSLATE_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Lives as long as the warm function instance, which is plenty for stock hotel phrases.
+// Map iteration order doubles as LRU order: hits are re-inserted at the end.
+const cache = new Map();
+
+const cacheKey = ({ text, sourceLang, targetLang, glossary }) =>
+  JSON.stringify([text, String(sourceLang || '').toLowerCase(), String(targetLang).toLowerCase(), glossary?.version || '']);
+
+function cacheGet(key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  cache.delete(key);
+  if (hit.expires < Date.now()) return null;
+  cache.set(key, hit);
+  return hit.value;
+}
+
+function cacheSet(key, value) {
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+export class TranslationError extends Error {
+  constructor(attempts) {
+    super('All translation providers failed');
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Translate with the first provider that succeeds, applying the hotel's glossary (see glossary.js).
+ * Resolves to { translated, provider, confidence, detectedLang, cached }.
+ */
+export async function translate({ text, sourceLang, targetLang, glossary = null }) {
+  const key = cacheKey({ text, sourceLang, targetLang, glossary });
+  const hit = cacheGet(key);
+  if (hit) return { ...hit, cached: true };
+
+  const terms = protectTerms(text, glossary, sourceLang);
+  const attempts = [];
+  for (const provider of providerChain()) {
+    try {
+      const result = await provider.translate({ text: terms.text, sourceLang, targetLang });
+      const value = { ...result, translated: restoreTerms(result.translated, terms.found, targetLang), provider: provider.name };
+      // Don't pin an echo in the cache; a real provider may be back on the next request
+      if (provider.name !== 'mock') cacheSet(key, value);
+      return { ...value, cached: false };
+    } catch (err) {
+      console.error(`[translate] ${provider.name} failed:`, err);
+      attempts.push({ provider: provider.name, error: String(err.message || err) });
+    }
+  }
+  throw new TranslationError(attempts);
+}
+
+/**
+ * Detect the language of `text` with the first provider that can do so on its own.
+ * Resolves to { detectedLang, confidence, provider }; detectedLang is 'unknown' when nobody can tell.
+ */
+export async function detect({ text }) {
+  for (const provider of providerChain().filter((p) => p.detect)) {
+    try {
+      const result = await provider.detect({ text });
+      if (result.detectedLang !== 'unknown') return { ...result, provider: provider.name };
+    } catch (err) {
+      console.error(`[detect] ${provider.name} failed:`, err);
+    }
+  }
+  return { detectedLang: 'unknown', confidence: null, provider: null };
+}
+
+/**
+ * Translate one text into several languages in parallel. With no targets it only detects the language.
+ * Resolves to { translations: { [code]: result }, errors: { [code]: attempts }, detectedLang }, where
+ * detectedLang is what the translations reported, or a separate detect() when none did.
+ */
+export async function translateMany({ text, sourceLang, targetLangs, glossary = null }) {
+  const unique = [...new Set(targetLangs.map(String))];
+  const settled = await Promise.allSettled(unique.map((targetLang) => translate({ text, sourceLang, targetLang, glossary })));
+  const translations = {};
+  const errors = {};
+  settled.forEach((s, i) => {
+    if (s.status === 'fulfilled') translations[unique[i]] = s.value;
+    else errors[unique[i]] = s.reason?.attempts || [{ error: String(s.reason) }];
+  });
+  const reported = Object.values(translations).map((t) => t.detectedLang).find((l) => l && l !== 'unknown');
+  const detectedLang = reported || (await detect({ text })).detectedLang;
+  return { translations, errors, detectedLang };
+}
@@ -0,0 +1,31 @@
+// Web push delivery shared by /api/push and the escalation cron. Subscriptions live on the recipient's
+// user or staff doc under pushSubscriptions.
+import webpush from 'web-push';
+import { FieldValue } from 'firebase-admin/firestore';
+
+// Sets the VAPID keys; false when they aren't configured
+export function configured() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return false;
+  webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:frontdesk@example.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  return true;
+}
+
+// Sends to every subscription on a profile doc, pruning the ones the push service says are gone
+export async function sendToProfile(ref, profile, payload) {
+  const subs = Object.entries(profile.pushSubscriptions || {});
+  let sent = 0;
+  await Promise.all(subs.map(async ([key, sub]) => {
+    try {
+      await webpush.sendNotification(sub, JSON.stringify(payload));
+      sent++;
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        await ref.update({ [`pushSubscriptions.${key}`]: FieldValue.delete() });
+      } else {
+        console.error('[push] send failed:', err);
+      }
+    }
+  }));
+  return sent;
+}
@@ -0,0 +1,79 @@
+// Vercel Serverless Function
+// POST { appId, roomId, requestId? } -> { assigneeId }   route an unassigned conversation to a staff member
+// Called by the guest's client after a message to a room nobody owns yet. Routing needs every staff
+// profile, which guests can't read, so it runs here with admin credentials.
+// With the id of a service request just opened in the room, the conversation first moves to that request's
+// department (the rules keep guests from setting it themselves).
+import { FieldValue } from 'firebase-admin/firestore';
+import { AuthError, STAFF_ROLES } from './_lib/auth.js';
+import { adminDb, verifyCaller } from './_lib/admin.js';
+import { APP_ID_PATTERN } from './_lib/glossary.js';
+import { DEFAULT_DEPARTMENT, pickAssignee } from './_lib/routing.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { appId, roomId, requestId } = req.body || {};
+  if (!appId || !roomId) return res.status(400).json({ error: 'Missing appId/roomId' });
+  if (!APP_ID_PATTERN.test(appId)) return res.status(400).json({ error: 'Invalid appId' });
+
+  try {
+    const uid = await verifyCaller(req);
+    const db = adminDb();
+    const root = db.doc(`artifacts/${appId}`);
+    // Only the room's guest or staff may ask for a conversation to be routed
+    const [guest, staff] = await Promise.all([root.collection('users').doc(uid).get(), root.collection('staff').doc(uid).get()]);
+    if (guest.data()?.roomId !== roomId && !STAFF_ROLES.includes(staff.data()?.role)) {
+      return res.status(403).json({ error: 'Not in this room' });
+    }
+
+    const [members, occupied, request] = await Promise.all([
+      root.collection('staff').get(),
+      root.collection('public/data/rooms').where('status', '==', 'occupied').get(),
+      requestId ? root.collection('public/data/requests').doc(String(requestId)).get() : null
+    ]);
+    const opened = request?.data();
+    const department = opened?.roomId === roomId && opened.status === 'open' ? opened.category : null;
+    const loads = new Map();
+    for (const d of occupied.docs) {
+      const { assigneeId } = d.data();
+      if (assigneeId) loads.set(assigneeId, (loads.get(assigneeId) || 0) + 1);
+    }
+
+    // In a transaction so two messages sent back to back can't route the room twice
+    const roomRef = root.collection('public/data/rooms').doc(roomId);
+    const assigneeId = await db.runTransaction(async (tx) => {
+      const room = (await tx.get(roomRef)).data();
+      if (!room || room.status !== 'occupied') return null;
+      // It only changes hands if nobody owns it yet
+      const moved = department && department !== room.department ? { department } : {};
+      if (room.assigneeId) {
+        if (moved.department) tx.update(roomRef, moved);
+        return room.assigneeId;
+      }
+      const pick = pickAssignee(members.docs.map((d) => ({ id: d.id, ...d.data() })), {
+        language: room.guestLanguage,
+        department: department || room.department || DEFAULT_DEPARTMENT,
+        loads
+      });
+      if (!pick) {
+        if (moved.department) tx.update(roomRef, moved);
+        return null;
+      }
+      tx.update(roomRef, {
+        ...moved,
+        assigneeId: pick.id,
+        assigneeName: pick.name || null,
+        assignedAt: FieldValue.serverTimestamp(),
+        // Messages are translated for the assignee from now on
+        ...(pick.language?.code ? { [`staffLanguages.${pick.id}`]: pick.language } : {})
+      });
+      return pick.id;
+    });
+    return res.json({ assigneeId });
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+    console.error('[assign] failed:', err);
+    return res.status(500).json({ error: 'Routing failed', detail: String(err) });
+  }
+}
@@ -0,0 +1,57 @@
+// Vercel Serverless Function
+// Signs and verifies the per-room check-in tokens printed as QR codes.
+// POST { appId, roomId, nonce, expiresAt } -> { token }   (staff only: Authorization: Bearer <Firebase ID token>)
+// GET  ?token=...                        -> { appId, roomId, nonce, expiresAt }
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { AuthError, requireStaff } from './_lib/auth.js';
+import { APP_ID_PATTERN } from './_lib/glossary.js';
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest();
+
+export default async function handler(req, res) {
+  const SECRET = process.env.CHECKIN_TOKEN_SECRET;
+  // Unlike translation there is no safe fallback here: an unsigned token would let anyone into any room.
+  if (!SECRET) return res.status(503).json({ error: 'Check-in tokens are not configured' });
+
+  if (req.method === 'POST') {
+    const { appId, roomId, nonce, expiresAt } = req.body || {};
+    if (!appId || !roomId || !nonce || !expiresAt) return res.status(400).json({ error: 'Missing appId/roomId/nonce/expiresAt' });
+    if (!APP_ID_PATTERN.test(appId)) return res.status(400).json({ error: 'Invalid appId' });
+    if (Number(expiresAt) <= Date.now()) return res.status(400).json({ error: 'expiresAt must be in the future' });
+    try {
+      await requireStaff(req, appId);
+    } catch (err) {
+      if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+      return res.status(500).json({ error: 'Auth check failed', detail: String(err) });
+    }
+
+    const payload = b64url(JSON.stringify({ a: String(appId), r: String(roomId), n: String(nonce), e: Number(expiresAt) }));
+    return res.json({ token: `${payload}.${b64url(sign(payload, SECRET))}` });
+  }
+
+  if (req.method === 'GET') {
+    const token = String(req.query?.token || '');
+    const [payload, mac] = token.split('.');
+    if (!payload || !mac) return res.status(400).json({ error: 'Malformed token' });
+
+    const expected = sign(payload, SECRET);
+    const given = Buffer.from(mac, 'base64url');
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'Malformed token' });
+    }
+    if (!claims.e || claims.e <= Date.now()) return res.status(410).json({ error: 'Token expired' });
+
+    return res.json({ appId: claims.a, roomId: claims.r, nonce: claims.n, expiresAt: claims.e });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
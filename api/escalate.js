@@ -0,0 +1,65 @@
+// Vercel Cron Function (see vercel.json), every five minutes
+// GET -> { escalated: [{ appId, roomId }] }
+// Escalates every conversation whose guest has waited longer than their hotel's reply time, and tells the
+// hotel's supervisors. Running here rather than in the dashboard means it happens with nobody signed in.
+// Vercel sends `Authorization: Bearer $CRON_SECRET`; anything else is turned away.
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { AuthError } from './_lib/auth.js';
+import { adminDb } from './_lib/admin.js';
+import { isOverdue, slaMinutesOf } from './_lib/routing.js';
+import { configured, sendToProfile } from './_lib/webpush.js';
+
+// Flags the room in a transaction, so overlapping runs (or a staff reply landing meanwhile) can't escalate
+// one unanswered message twice. Resolves to the room as escalated, or null.
+async function escalate(db, ref, slaMinutes, now) {
+  return db.runTransaction(async (tx) => {
+    const room = (await tx.get(ref)).data();
+    if (!room || !isOverdue(room, slaMinutes, now)) return null;
+    tx.update(ref, { escalatedAt: FieldValue.serverTimestamp(), escalatedFrom: room.assigneeId || null });
+    return room;
+  });
+}
+
+async function notifySupervisors(root, appId, roomId, room) {
+  const supervisors = (await root.collection('staff').where('role', 'in', ['supervisor', 'admin']).get()).docs;
+  const body = `${room.guestName || 'Guest'} is still waiting for a reply${room.assigneeName ? ` (assigned to ${room.assigneeName})` : ''}.`;
+  const url = `/?hotel=${encodeURIComponent(appId)}&room=${encodeURIComponent(roomId)}`;
+  for (const d of supervisors) {
+    await sendToProfile(d.ref, d.data(), { title: `Escalated · Room ${roomId}`, body, tag: `escalation-${roomId}`, url });
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  if (!process.env.CRON_SECRET) return res.status(503).json({ error: 'CRON_SECRET is not configured' });
+  if (req.headers?.authorization !== `Bearer ${process.env.CRON_SECRET}`) return res.status(401).json({ error: 'Unauthorized' });
+
+  try {
+    const db = adminDb();
+    const push = configured();
+    const now = Date.now();
+    const escalated = [];
+    // One query across every hotel for rooms whose guest has waited at least a minute (the shortest reply
+    // time a property can set), so a quiet run reads nothing; each hotel's own reply time is checked after.
+    // Needs the collection-group index in firestore.indexes.json.
+    const waiting = await db.collectionGroup('rooms').where('awaitingSince', '<=', Timestamp.fromMillis(now - 60000)).get();
+    const slaByHotel = new Map();
+    for (const d of waiting.docs) {
+      const [, appId] = d.ref.path.match(/^artifacts\/([^/]+)\/public\/data\/rooms\/[^/]+$/) || [];
+      if (!appId) continue;
+      const root = db.doc(`artifacts/${appId}`);
+      if (!slaByHotel.has(appId)) slaByHotel.set(appId, slaMinutesOf((await db.doc(`hotels/${appId}`).get()).data()));
+      const slaMinutes = slaByHotel.get(appId);
+      if (!isOverdue(d.data(), slaMinutes, now)) continue;
+      const room = await escalate(db, d.ref, slaMinutes, now);
+      if (!room) continue;
+      escalated.push({ appId, roomId: d.id });
+      if (push) await notifySupervisors(root, appId, d.id, room);
+    }
+    return res.json({ escalated });
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+    console.error('[escalate] failed:', err);
+    return res.status(500).json({ error: 'Escalation failed', detail: String(err) });
+  }
+}
@@ -0,0 +1,106 @@
+// Vercel Serverless Function
+// GET                       -> { publicKey }   VAPID key for PushManager.subscribe
+// POST { appId, messageId } -> { sent }        notify everyone else in the message's room (for a staff note, the staff it mentions)
+// POST { appId, roomId, event } -> { sent }     staff only: 'handoff' (tells the assignee)
+// The sender calls POST right after writing the message, with their Firebase ID token.
+// Escalations are pushed by the /api/escalate cron instead.
+import { AuthError, STAFF_ROLES } from './_lib/auth.js';
+import { adminDb, verifyCaller } from './_lib/admin.js';
+import { APP_ID_PATTERN } from './_lib/glossary.js';
+import { configured, sendToProfile } from './_lib/webpush.js';
+import { isUnavailable } from '../shared/translation.js';
+
+// The body is shown in the recipient's language when the sender stored a translation for it
+function textFor(message, language) {
+  const code = language?.code;
+  const translated = code && code !== message.language?.code ? message.translations?.[code] : null;
+  return translated && !isUnavailable(translated) ? translated : message.text;
+}
+
+// Handoffs have no message; the room doc says who to tell
+async function notifyEvent(root, uid, roomId) {
+  const caller = await root.collection('staff').doc(uid).get();
+  if (!STAFF_ROLES.includes(caller.data()?.role)) throw new AuthError(403, 'Staff access required');
+  const room = (await root.collection('public/data/rooms').doc(roomId).get()).data();
+  if (!room) return [];
+
+  const guest = room.guestName || 'Guest';
+  if (!room.assigneeId || room.assigneeId === uid) return [];
+  const assignee = await root.collection('staff').doc(room.assigneeId).get();
+  const from = caller.data().name || 'A colleague';
+  return assignee.exists ? [{ doc: assignee, payload: { title: `Room ${roomId} · ${guest}`, body: `${from} handed this conversation to you.` } }] : [];
+}
+
+export default async function handler(req, res) {
+  if (!configured()) return res.status(503).json({ error: 'Push is not configured' });
+  if (req.method === 'GET') return res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { appId, messageId, roomId: eventRoomId, event } = req.body || {};
+  if (event && event !== 'handoff') return res.status(400).json({ error: 'Unknown event' });
+  if (!appId || !(event ? eventRoomId : messageId)) return res.status(400).json({ error: 'Missing appId/messageId' });
+  if (!APP_ID_PATTERN.test(appId)) return res.status(400).json({ error: 'Invalid appId' });
+
+  try {
+    const uid = await verifyCaller(req);
+    const db = adminDb();
+    const root = db.doc(`artifacts/${appId}`);
+    if (event) {
+      const url = `/?hotel=${encodeURIComponent(appId)}&room=${encodeURIComponent(eventRoomId)}`;
+      let sent = 0;
+      for (const { doc: d, payload } of await notifyEvent(root, uid, eventRoomId)) {
+        if (d.id === uid) continue;
+        sent += await sendToProfile(d.ref, d.data(), { ...payload, tag: `${event}-${eventRoomId}`, url });
+      }
+      return res.json({ sent });
+    }
+
+    const msgSnap = await root.collection('public/data/messages').doc(messageId).get();
+    if (!msgSnap.exists) return res.status(404).json({ error: 'Message not found' });
+    const message = msgSnap.data();
+    // Only the sender may trigger notifications for a message, so this can't be used to spam a room
+    if (message.senderId !== uid) return res.status(403).json({ error: 'Not the sender' });
+
+    const { roomId } = message;
+    const url = `/?hotel=${encodeURIComponent(appId)}&room=${encodeURIComponent(roomId)}`;
+    let recipients;
+    if (message.senderRole === 'note') {
+      // Notes never reach guests; mentions are checked against real staff docs
+      const mentioned = await Promise.all((message.mentions || []).slice(0, 20).map((id) => root.collection('staff').doc(id).get()));
+      recipients = mentioned.filter((d) => d.exists && STAFF_ROLES.includes(d.data().role));
+    } else if (message.senderRole === 'staff') {
+      recipients = (await root.collection('users').where('roomId', '==', roomId).get()).docs;
+    } else {
+      // Followers, plus whoever the conversation is assigned to
+      const [followers, room] = await Promise.all([
+        root.collection('staff').where('followedRooms', 'array-contains', roomId).get(),
+        root.collection('public/data/rooms').doc(roomId).get()
+      ]);
+      recipients = followers.docs;
+      const assigneeId = room.data()?.assigneeId;
+      if (assigneeId && !recipients.some((d) => d.id === assigneeId)) {
+        const assignee = await root.collection('staff').doc(assigneeId).get();
+        if (assignee.exists) recipients.push(assignee);
+      }
+    }
+
+    let sent = 0;
+    for (const d of recipients) {
+      if (d.id === uid) continue;
+      const profile = d.data();
+      sent += await sendToProfile(d.ref, profile, {
+        title: message.senderRole === 'note'
+          ? `Note · Room ${roomId} · ${message.senderName || 'Staff'}`
+          : message.senderRole === 'staff' ? message.senderName || 'Front desk' : `Room ${roomId} · ${message.senderName || 'Guest'}`,
+        body: (textFor(message, profile.language) || (message.attachment ? `📎 ${message.attachment.name}` : '')).slice(0, 200),
+        tag: message.senderRole === 'note' ? `note-${messageId}` : `room-${roomId}`,
+        url
+      });
+    }
+    return res.json({ sent });
+  } catch (err) {
+    if (err instanceof AuthError) return res.status(err.status).json({ error: err.message });
+    console.error('[push] failed:', err);
+    return res.status(500).json({ error: 'Push failed', detail: String(err) });
+  }
+}
@@ -1,36 +1,34 @@
 // Vercel Serverless Function
-export default async function handler(req, res) {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+// Providers are tried in TRANSLATE_PROVIDERS order (see api/_lib/providers.js).
+// Body: { text, sourceLang?, targetLang, appId? } -> { translated, provider, confidence, detectedLang, cached }
+//   or: { text, sourceLang?, targetLangs: [...], appId? } -> { translations: { [code]: {...} }, errors: { [code]: [...] }, detectedLang }
+// The language is detected, not taken from sourceLang (see api/_lib/providers.js); an empty targetLangs
+// only detects it.
+// With an appId and the ID token of one of that hotel's guests or staff (Authorization: Bearer), the hotel's
+// glossary and do-not-translate terms are applied (api/_lib/glossary.js); without one, they aren't.
+import { translate, translateMany, TranslationError } from './_lib/translator.js';
+import { loadGlossaryForCaller } from './_lib/glossary.js';
 
-  const { text, sourceLang, targetLang } = req.body || {};
-  if (!text || !targetLang) return res.status(400).json({ error: 'Missing text/targetLang' });
+const MAX_TARGETS = 20;
 
-  const DEEPL_API_KEY = process.env.DEEPL_API_KEY; // optional
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  // No key? Just echo text so the app still works.
-  if (!DEEPL_API_KEY) {
-    return res.json({ translated: text, provider: 'mock', confidence: 1.0, detectedLang: sourceLang || 'unknown' });
-  }
+  const { text, sourceLang, targetLang, targetLangs, appId } = req.body || {};
+  if (!text || (!targetLang && !Array.isArray(targetLangs))) return res.status(400).json({ error: 'Missing text/targetLang' });
 
   try {
-    const form = new URLSearchParams();
-    form.set('text', text);
-    form.set('target_lang', (targetLang || 'EN').toUpperCase().slice(0,2));
-    if (sourceLang) form.set('source_lang', sourceLang.toUpperCase().slice(0,2));
-
-    const resp = await fetch('https://api-free.deepl.com/v2/translate', {
-      method: 'POST',
-      headers: { 'Authorization': `DeepL-Auth-Key ${DEEPL_API_KEY}`, 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: form
-    });
-
-    if (!resp.ok) return res.status(500).json({ error: 'Translation failed', detail: await resp.text() });
-    const data = await resp.json();
-    const translated = data.translations?.[0]?.text || text;
-    const detectedLang = data.translations?.[0]?.detected_source_language || sourceLang || 'unknown';
-    return res.json({ translated, provider: 'deepl', confidence: 0.9, detectedLang });
+    const glossary = await loadGlossaryForCaller(req, appId);
+    if (Array.isArray(targetLangs)) {
+      if (targetLangs.length > MAX_TARGETS) return res.status(400).json({ error: `targetLangs must list at most ${MAX_TARGETS} languages` });
+      const result = await translateMany({ text, sourceLang, targetLangs, glossary });
+      // Partial success is still a 200; callers fall back per language
+      const ok = !targetLangs.length || Object.keys(result.translations).length > 0;
+      return res.status(ok ? 200 : 502).json(ok ? result : { error: 'Translation failed', ...result });
+    }
+    return res.json(await translate({ text, sourceLang, targetLang, glossary }));
   } catch (err) {
+    if (err instanceof TranslationError) return res.status(502).json({ error: 'Translation failed', detail: err.attempts });
     return res.status(500).json({ error: 'Translation error', detail: String(err) });
   }
 }
-
@@ -1,3 +1,84 @@
-self.addEventListener('install', () => self.skipWaiting());
-self.addEventListener('activate', () => self.clients.claim());
-// (No caching yet — keeps it simple)
+// The build stamps its id in here (see vite.config.js), so every deploy installs a new worker with its own
+// cache and activate drops the previous one
+const CACHE = 'hotelconnect-__BUILD_ID__';
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// Only same-origin GETs are handled. API calls and Firebase traffic go straight to the network;
+// Firestore keeps its own offline cache and the chat outbox retries sends.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Pages: network first so deploys show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((resp) => {
+          const copy = resp.clone();
+          caches.open(CACHE).then((cache) => cache.put('/index.html', copy));
+          return resp;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Vite's /assets/* are content-hashed, so cache first is safe; icons etc. come from the precache
+  event.respondWith(
+    caches.match(request).then((hit) => hit || fetch(request).then((resp) => {
+      if (resp.ok && url.pathname.startsWith('/assets/')) {
+        const copy = resp.clone();
+        caches.open(CACHE).then((cache) => cache.put(request, copy));
+      }
+      return resp;
+    }))
+  );
+});
+
+// Payload comes from /api/push: { title, body, tag, url }
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'HotelConnect', {
+      body: data.body || '',
+      tag: data.tag,
+      renotify: !!data.tag,
+      icon: '/icons/icon-192.png',
+      badge: '/icons/icon-192.png',
+      data: { url: data.url || '/' }
+    })
+  );
+});
+
+// Reuse an open window if there is one, otherwise open the room's deep link. Only windows this worker
+// controls can be navigated (navigate() rejects on others, e.g. a tab opened before it activated).
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    const existing = windows.find((c) => new URL(c.url).origin === self.location.origin);
+    if (existing) {
+      try {
+        const client = (await existing.navigate(url)) || existing;
+        return client.focus();
+      } catch {
+        // fall through to a new window
+      }
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,6 @@
+// Marks a stored translation the provider couldn't produce: the prefix plus the original text, so readers
+// still see something and clients know to retry it lazily. Kept outside src/ and api/ because the app, its
+// exports and /api/push all use it; firestore.rules matches the same string.
+export const UNAVAILABLE_PREFIX = "(Translation unavailable) ";
+
+export const isUnavailable = (translation) => !!translation?.startsWith(UNAVAILABLE_PREFIX);
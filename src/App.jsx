@@ -1,21 +1,49 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import QRCode from "qrcode";
+import { MAX_ATTEMPTS, isNetworkError, loadOutbox, saveOutbox } from "./outbox.js";
+import { buildTranscript, downloadTranscriptJson, escapeHtml, printTranscript } from "./transcript.js";
+import { detectLanguage, isRtl, languageName, translator } from "./i18n.js";
+import { computeAnalytics, downloadAnalyticsCsv } from "./analytics.js";
+import { MAX_RESULTS, searchMessages } from "./search.js";
+import { UNAVAILABLE_PREFIX, isUnavailable } from "../shared/translation.js";
+import { ROOM_ID_PATTERN, parseRoomsCsv } from "./rooms.js";
+import { keptPhrases } from "./glossary.js";
+import { mentionsIn } from "./mentions.js";
+import { detectedLanguageOf, suggestLanguage } from "./detection.js";
 import { initializeApp } from "firebase/app";
-import { getAuth, onAuthStateChanged, signInAnonymously } from "firebase/auth";
+import {
+  createUserWithEmailAndPassword,
+  getAuth,
+  onAuthStateChanged,
+  signInAnonymously,
+  signInWithEmailAndPassword,
+  signOut,
+} from "firebase/auth";
 import {
   addDoc,
+  arrayUnion,
   collection,
+  deleteDoc,
+  deleteField,
   doc,
   getDoc,
   getDocs,
-  getFirestore,
+  increment,
+  initializeFirestore,
+  limit,
   onSnapshot,
   orderBy,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   query,
+  runTransaction,
   serverTimestamp,
   setDoc,
+  updateDoc,
   where,
   writeBatch,
 } from "firebase/firestore";
+import { getDownloadURL, getStorage, ref as storageRef, uploadBytes } from "firebase/storage";
 
 /** Language options */
 const LANGUAGES = {
@@ -27,34 +55,543 @@ const LANGUAGES = {
   Hindi: { label: "Hindi", code: "hi-IN" },
   "Mandarin Chinese": { label: "Mandarin Chinese", code: "zh-CN" },
 };
+// Default staff language, and the language built-in notices are written in
 const HOTEL_LANGUAGE = { label: "English", code: "en-US" };
-// Room numbers 100 - 200 for dropdown registration
-const ROOM_NUMBERS = Array.from({ length: 101 }, (_, i) => String(100 + i));
+const primaryLang = (code) => String(code || "").split(/[-_]/)[0].toLowerCase();
+// Label for a detected language such as "es"; falls back to the raw code for languages we don't offer
+const languageLabel = (code) =>
+  Object.values(LANGUAGES).find((l) => primaryLang(l.code) === primaryLang(code))?.label || String(code).toUpperCase();
+// Firebase web config, set per deployment at build time (see README)
+const FIREBASE_CONFIG = Object.fromEntries(
+  Object.entries({
+    apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+    authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+    storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+    appId: import.meta.env.VITE_FIREBASE_APP_ID,
+    measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID,
+  }).filter(([, value]) => value)
+);
+// Properties. Each hotel's data lives under artifacts/{hotelId} (what used to be the single app id), so the
+// existing paths and rules keep hotels apart; hotels/{hotelId} holds its name, branding and languages.
+// Optional: with no default, a device that hasn't been sent to a hotel picks one from the registry.
+const DEFAULT_HOTEL_ID = import.meta.env.VITE_DEFAULT_HOTEL_ID || null;
+const HOTEL_STORAGE_KEY = "hotelconnect:hotel";
+// Minutes a guest may wait for a reply before the conversation is escalated to supervisors (by /api/escalate,
+// which has the same default in api/_lib/routing.js)
+const DEFAULT_SLA_MINUTES = 10;
+const hotelConfig = (id, data = {}) => ({
+  id,
+  name: data.name || "HotelConnect",
+  primaryColor: data.primaryColor || "#2563eb",
+  logoUrl: data.logoUrl || "",
+  staffLanguage: data.staffLanguage?.code ? data.staffLanguage : HOTEL_LANGUAGE,
+  guestLanguages: data.guestLanguages?.length
+    ? Object.values(LANGUAGES).filter((l) => data.guestLanguages.includes(l.code))
+    : Object.values(LANGUAGES),
+  slaMinutes: Number(data.slaMinutes) > 0 ? Number(data.slaMinutes) : DEFAULT_SLA_MINUTES,
+});
+const HotelContext = createContext(hotelConfig(DEFAULT_HOTEL_ID));
+const useHotel = () => useContext(HotelContext);
+const storedHotelId = () => {
+  try {
+    return localStorage.getItem(HOTEL_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+// Interface language. Guests see the language they registered with; before that, their last pick on this
+// device, or on first launch the browser's preferred language. Staff see their own language.
+const UI_LANGUAGE_KEY = "hotelconnect:ui-language";
+const localeFor = (code) => ({ lang: code, dir: isRtl(code) ? "rtl" : "ltr", t: translator(code) });
+const LocaleContext = createContext(localeFor(HOTEL_LANGUAGE.code));
+const useLocale = () => useContext(LocaleContext);
+const initialUiLanguage = () => {
+  try {
+    const stored = localStorage.getItem(UI_LANGUAGE_KEY);
+    if (stored) return stored;
+  } catch {
+    // private browsing: detect every time
+  }
+  const preferred = navigator.languages?.length ? [...navigator.languages] : [navigator.language];
+  return detectLanguage(preferred, Object.values(LANGUAGES))?.code || HOTEL_LANGUAGE.code;
+};
+// Staff roles, least to most privileged. Guests are anonymous users with no staff doc.
+const STAFF_ROLES = ["agent", "supervisor", "admin"];
+const isStaffRole = (r) => STAFF_ROLES.includes(r);
+// Service requests raised from the guest chat
+const REQUEST_CATEGORIES = { housekeeping: "Housekeeping", maintenance: "Maintenance", room_service: "Room service" };
+const REQUEST_PRIORITIES = { low: "Low", normal: "Normal", urgent: "Urgent" };
+const REQUEST_STATUSES = { open: "Open", assigned: "Assigned", in_progress: "In progress", done: "Done" };
+// Conversation routing. Each occupied room has one assignee; a guest's service request moves the
+// conversation to the matching department (request categories double as department keys).
+const DEPARTMENTS = { front_desk: "Front desk", housekeeping: "Housekeeping", maintenance: "Maintenance", room_service: "Room service" };
+// A new stay starts unrouted; moves carry these fields to the new room
+const UNASSIGNED = { assigneeId: null, assigneeName: null, assignedAt: null, department: null, escalatedAt: null, escalatedFrom: null };
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+// Chat attachments: photos are re-encoded before upload, documents go up as-is
+const ATTACHMENT_TYPES = { "image/jpeg": "image", "image/png": "image", "image/webp": "image", "application/pdf": "document" };
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+// Returns a message key (see src/i18n.js) or null
+const attachmentProblem = (file) =>
+  !ATTACHMENT_TYPES[file.type] ? "chat.attachType" : file.size > MAX_ATTACHMENT_BYTES ? "chat.attachSize" : null;
+// Placeholders staff can use in canned responses
+const TEMPLATE_VARIABLES = ["guestName", "roomId", "staffName"];
+const fillTemplate = (text, vars) => text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+
+// Room inventory lives on the room docs (floor, type, outOfOrder), maintained by admins.
+// "checked_out" is a vacant room whose last stay has ended.
+const ROOM_STATUS_LABELS = { vacant: "Vacant", occupied: "In House", out_of_order: "Out of Order" };
+const roomStatus = (r) => (r.outOfOrder ? "out_of_order" : r.status === "occupied" ? "occupied" : "vacant");
+const byRoomNumber = (a, b) => a.id.localeCompare(b.id, undefined, { numeric: true });
 
 const uuid = () =>
   typeof crypto !== "undefined" && crypto.randomUUID
     ? crypto.randomUUID()
     : `room-${Math.random().toString(36).slice(2)}-${Date.now()}`;
 
+// Check-in codes lapse at noon on the checkout date in case the checkout is never recorded
+const checkinExpiry = (checkoutDate) => new Date(`${checkoutDate}T12:00`).getTime();
+const tomorrow = () => new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+// The rules check the room's checkinExpiresAt, not the token, so the nonce is replaced once it has passed,
+// and whenever the expiry moves earlier: otherwise older codes (same nonce) would outlive the new one.
+const checkinNonceFor = (room, expiresAt) =>
+  room?.checkinNonce && (room.checkinExpiresAt || 0) > Date.now() && expiresAt >= room.checkinExpiresAt ? room.checkinNonce : uuid();
+
+// Printed room QR codes point at `/?checkin=<token>`
+const CHECKIN_PARAM = "checkin";
+const checkinUrl = (token) => `${window.location.origin}/?${CHECKIN_PARAM}=${encodeURIComponent(token)}`;
+const parseCheckinToken = (raw) => {
+  try {
+    return new URL(raw, window.location.origin).searchParams.get(CHECKIN_PARAM);
+  } catch {
+    return null;
+  }
+};
+// The hotel a check-in token was issued for. Unverified; the signature is checked when it's redeemed.
+const hotelFromCheckinToken = (token) => {
+  try {
+    return JSON.parse(atob(token.split(".")[0].replace(/-/g, "+").replace(/_/g, "/"))).a || null;
+  } catch {
+    return null;
+  }
+};
+// Take a one-shot parameter (check-in token, notification deep link) off the address bar
+// so a refresh doesn't replay it
+const takeUrlParam = (name) => {
+  const url = new URL(window.location.href);
+  const value = url.searchParams.get(name);
+  if (value) {
+    url.searchParams.delete(name);
+    window.history.replaceState(null, "", `${url.pathname}${url.search}${url.hash}`);
+  }
+  return value;
+};
+
+// fetch with the signed-in user's Firebase ID token, for API routes that check who's calling
+async function authedFetch(url, init = {}) {
+  const idToken = await getAuth().currentUser?.getIdToken();
+  return fetch(url, { ...init, headers: { ...init.headers, ...(idToken ? { Authorization: `Bearer ${idToken}` } : {}) } });
+}
+
+// Staff notes share the messages collection with senderRole "note". The rules only let guests read the
+// other roles, and a query must say so to pass them, so every guest query filters on this list.
+const GUEST_VISIBLE_ROLES = ["guest", "staff", "system"];
+
+const TYPING_TTL_MS = 8000; // a typing flag older than this is stale (tab closed mid-sentence)
+const ONLINE_TTL_MS = 2 * 60000; // presence heartbeats every minute
+
+const formatStamp = (t) => (t?.toDate ? t.toDate().toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : "—");
+
+// Every language someone in a room reads: the hotel's staff language, the guest's and each following staff member's
+const roomLanguages = (room, staffLanguage = HOTEL_LANGUAGE) => {
+  const byCode = new Map();
+  [staffLanguage, room?.guestLanguage, ...Object.values(room?.staffLanguages || {})]
+    .filter((l) => l?.code)
+    .forEach((l) => byCode.set(l.code, l));
+  return Array.from(byCode.values());
+};
+
+// Translates `text` from `source` into each of `languages`; failures are stored as unavailable
+// so the reader's client can fill them in lazily later
+async function buildTranslations(appId, text, source, languages) {
+  const targets = languages.filter((l) => l.code !== source.code);
+  let results = {};
+  try {
+    results = await requestTranslations(appId, text, source.code, targets.map((l) => l.code));
+  } catch (err) {
+    console.error(err);
+  }
+  const translations = {};
+  const translationMeta = {};
+  for (const { code } of targets) {
+    const r = results[code];
+    if (r?.translated) {
+      translations[code] = r.translated;
+      translationMeta[code] = { provider: r.provider, confidence: r.confidence, detectedLang: r.detectedLang };
+    } else {
+      translations[code] = `${UNAVAILABLE_PREFIX}${text}`;
+    }
+  }
+  return { translations, translationMeta };
+}
+
+// Posts an automated notice (written in English) into a room's chat, translated for everyone in it.
+// senderId is the acting user so the write passes the message rules.
+async function postSystemMessage(db, appId, roomId, senderId, text, extra = {}) {
+  const [roomSnap, hotelSnap] = await Promise.all([
+    getDoc(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`)),
+    getDoc(doc(db, "hotels", appId)),
+  ]);
+  const languages = roomLanguages(roomSnap.data(), hotelConfig(appId, hotelSnap.data()).staffLanguage);
+  const { translations, translationMeta } = await buildTranslations(appId, text, HOTEL_LANGUAGE, languages);
+  await addDoc(collection(db, `artifacts/${appId}/public/data/messages`), {
+    roomId,
+    text,
+    language: HOTEL_LANGUAGE,
+    senderId,
+    senderName: "HotelConnect",
+    senderRole: "system",
+    timestamp: serverTimestamp(),
+    translations,
+    translationMeta,
+    ...extra,
+  });
+}
+
+// Occupancy changes (check-in, room move, checkout) are appended to audit_log with who made them.
+// actor: { id, name, role } where role is "guest" or a staff role.
+const auditEntry = (actor, action, details) => ({
+  action,
+  ...details,
+  actorId: actor.id,
+  actorName: actor.name || null,
+  actorRole: actor.role,
+  at: serverTimestamp(),
+});
+const AUDIT_ACTIONS = { check_in: "Checked in", move: "Moved", check_out: "Checked out" };
+
+const staysPath = (appId) => `artifacts/${appId}/public/data/stays`;
+
+// Front desk check-in. `guestId` links a guest who has registered in the app; without it this is a
+// walk-in and the guest joins the stay later by scanning the room QR, which works until `checkoutDate`.
+async function staffCheckIn(db, appId, actor, { roomId, guestName, guestLanguage, guestId, checkoutDate }) {
+  const roomRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
+  const guestRef = guestId ? doc(db, `artifacts/${appId}/users/${guestId}`) : null;
+  await runTransaction(db, async (tx) => {
+    const roomSnap = await tx.get(roomRef);
+    if (roomSnap.data()?.status === "occupied") throw new Error(`Room ${roomId} is already occupied.`);
+    if (roomSnap.data()?.outOfOrder) throw new Error(`Room ${roomId} is out of order.`);
+    if (guestRef && (await tx.get(guestRef)).data()?.isCheckedIn) throw new Error(`${guestName} is already checked in.`);
+
+    const checkinExpiresAt = checkinExpiry(checkoutDate);
+    const nonce = checkinNonceFor(roomSnap.data(), checkinExpiresAt);
+    const stayRef = doc(collection(db, staysPath(appId)));
+    tx.set(stayRef, {
+      roomId,
+      guestName,
+      guestLanguage,
+      guestIds: guestId ? [guestId] : [],
+      status: "active",
+      checkedInAt: serverTimestamp(),
+      checkedOutAt: null,
+      updatedAt: serverTimestamp(),
+    });
+    tx.set(roomRef, {
+      guestName,
+      guestLanguage,
+      status: "occupied",
+      stayId: stayRef.id,
+      checkinNonce: nonce,
+      checkinExpiresAt,
+      lastMessagePreview: null,
+      lastMessageRole: null,
+      awaitingSince: null,
+      ...UNASSIGNED,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }, { merge: true });
+    if (guestRef) tx.set(guestRef, { roomId, checkinNonce: nonce, isCheckedIn: true, updatedAt: serverTimestamp() }, { merge: true });
+    tx.set(doc(collection(db, `artifacts/${appId}/audit_log`)), auditEntry(actor, "check_in", { roomId, stayId: stayRef.id, guestName }));
+  });
+}
+
+// Rewrites roomId on every doc a query returns, 400 writes per batch
+async function repointRoom(db, q, roomId) {
+  const docs = (await getDocs(q)).docs;
+  for (let i = 0; i < docs.length; i += 400) {
+    const batch = writeBatch(db);
+    docs.slice(i, i + 400).forEach((d) => batch.update(d.ref, { roomId }));
+    await batch.commit();
+  }
+  return docs.length;
+}
+
+// Moves the stay, its guests and its conversation from one room to another
+async function moveGuest(db, appId, actor, fromId, toId) {
+  const roomsPath = `artifacts/${appId}/public/data/rooms`;
+  const fromRef = doc(db, `${roomsPath}/${fromId}`);
+  const toRef = doc(db, `${roomsPath}/${toId}`);
+  // Client transactions can't run queries, so the guest list is read up front
+  const guests = await getDocs(query(collection(db, `artifacts/${appId}/users`), where("roomId", "==", fromId)));
+  await runTransaction(db, async (tx) => {
+    const [fromSnap, toSnap] = await Promise.all([tx.get(fromRef), tx.get(toRef)]);
+    const from = fromSnap.data();
+    if (from?.status !== "occupied") throw new Error(`Room ${fromId} has no guest to move.`);
+    if (toSnap.data()?.status === "occupied") throw new Error(`Room ${toId} is already occupied.`);
+    if (toSnap.data()?.outOfOrder) throw new Error(`Room ${toId} is out of order.`);
+
+    const nonce = toSnap.data()?.checkinNonce || uuid();
+    tx.set(toRef, {
+      guestName: from.guestName,
+      guestLanguage: from.guestLanguage,
+      status: "occupied",
+      stayId: from.stayId || null,
+      checkinNonce: nonce,
+      checkinExpiresAt: from.checkinExpiresAt || null,
+      lastMessageAt: from.lastMessageAt || null,
+      lastMessagePreview: from.lastMessagePreview || null,
+      lastMessageRole: from.lastMessageRole || null,
+      awaitingSince: from.awaitingSince || null,
+      ...Object.fromEntries(Object.keys(UNASSIGNED).map((k) => [k, from[k] ?? null])),
+      createdAt: from.createdAt || serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    }, { merge: true });
+    // The old room's QR stops working; a new one is printed for the next guest
+    tx.set(fromRef, { status: "vacant", stayId: null, checkinNonce: null, lastMessagePreview: null, lastMessageRole: null, awaitingSince: null, ...UNASSIGNED, updatedAt: serverTimestamp() }, { merge: true });
+    if (from.stayId) {
+      tx.update(doc(db, `${staysPath(appId)}/${from.stayId}`), {
+        roomId: toId,
+        moves: arrayUnion({ from: fromId, to: toId, by: actor.id, at: Date.now() }),
+        updatedAt: serverTimestamp(),
+      });
+    }
+    guests.docs.forEach((g) => tx.update(g.ref, { roomId: toId, checkinNonce: nonce, updatedAt: serverTimestamp() }));
+    tx.set(doc(collection(db, `artifacts/${appId}/audit_log`)), auditEntry(actor, "move", { roomId: fromId, toRoomId: toId, stayId: from.stayId || null, guestName: from.guestName }));
+  });
+
+  // History follows the guest. Re-pointed after the commit (a transaction is capped at 500 writes),
+  // which also picks up anything sent to the old room while the transaction ran.
+  const moved = await repointRoom(db, query(collection(db, `artifacts/${appId}/public/data/messages`), where("roomId", "==", fromId)), toId);
+  await repointRoom(db, query(collection(db, `artifacts/${appId}/public/data/requests`), where("roomId", "==", fromId)), toId);
+  if (moved) await updateDoc(toRef, { messageCount: increment(moved) });
+}
+
+// Archives the room's conversation under its stay, closes the stay and frees the room.
+// Staff check out everyone in the room; a guest can only clear their own user doc.
+async function checkOutRoom(db, appId, actor, roomId) {
+  const roomRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
+  const room = (await getDoc(roomRef)).data() || {};
+  // Rooms checked in before stays existed get a record now
+  const stayRef = room.stayId ? doc(db, `${staysPath(appId)}/${room.stayId}`) : doc(collection(db, staysPath(appId)));
+  const stay = room.stayId ? (await getDoc(stayRef)).data() : null;
+  const guestRefs = isStaffRole(actor.role)
+    ? (await getDocs(query(collection(db, `artifacts/${appId}/users`), where("roomId", "==", roomId)))).docs.map((d) => d.ref)
+    : [doc(db, `artifacts/${appId}/users/${actor.id}`)];
+  const guestIds = Array.from(new Set([...(stay?.guestIds || []), ...guestRefs.map((r) => r.id)]));
+
+  // Archived copies carry the stay and its guests, so the guests can still export the transcript.
+  // Staff notes are archived with no guests; a guest checking out can't see them (see archiveNotes).
+  const messagesRef = collection(db, `artifacts/${appId}/public/data/messages`);
+  const msgsQ = isStaffRole(actor.role)
+    ? query(messagesRef, where("roomId", "==", roomId))
+    : query(messagesRef, where("roomId", "==", roomId), where("senderRole", "in", GUEST_VISIBLE_ROLES));
+  const docs = (await getDocs(msgsQ)).docs;
+  const chunk = 400;
+  for (let i = 0; i < docs.length; i += chunk) {
+    const batch = writeBatch(db);
+    for (const d of docs.slice(i, i + chunk)) {
+      batch.set(doc(db, `artifacts/${appId}/public/data/archived_messages/${d.id}`), {
+        ...d.data(),
+        stayId: stayRef.id,
+        guestIds: d.data().senderRole === "note" ? [] : guestIds,
+        archivedAt: serverTimestamp(),
+        originalMessageId: d.id,
+      });
+      batch.delete(d.ref);
+    }
+    await batch.commit();
+  }
+
+  const guestName = stay?.guestName || room.guestName || actor.name;
+  await runTransaction(db, async (tx) => {
+    // Someone else may have moved or checked out the guest since we looked
+    if ((await tx.get(roomRef)).data()?.stayId !== room.stayId) throw new Error(`Room ${roomId} changed while checking out; please try again.`);
+    tx.set(stayRef, {
+      roomId,
+      guestName,
+      guestLanguage: stay?.guestLanguage || room.guestLanguage || null,
+      guestIds,
+      status: "closed",
+      ...(stay ? {} : { checkedInAt: room.createdAt || null }),
+      checkedOutAt: serverTimestamp(),
+      messageCount: docs.filter((d) => d.data().senderRole !== "note").length,
+      updatedAt: serverTimestamp(),
+    }, { merge: true });
+    // lastStayId lets staff file notes left behind without a stay (see Chat) under the stay that just ended
+    tx.set(roomRef, { status: "checked_out", checkinNonce: null, stayId: null, lastStayId: stayRef.id, lastCheckedOutAt: serverTimestamp(), awaitingSince: null, ...UNASSIGNED, updatedAt: serverTimestamp() }, { merge: true });
+    guestRefs.forEach((r) =>
+      tx.set(r, { roomId: null, checkinNonce: null, isCheckedIn: false, lastStayId: stayRef.id, updatedAt: serverTimestamp() }, { merge: true })
+    );
+    tx.set(doc(collection(db, `artifacts/${appId}/audit_log`)), auditEntry(actor, "check_out", { roomId, stayId: stayRef.id, guestName }));
+  });
+  return stayRef.id;
+}
+
+// Notes left in a room after the guest checked out themselves, filed under the stay they were written in
+async function archiveNotes(db, appId, notes) {
+  const batch = writeBatch(db);
+  for (const { id, deliveryState, ...note } of notes) {
+    batch.set(doc(db, `artifacts/${appId}/public/data/archived_messages/${id}`), {
+      ...note,
+      guestIds: [],
+      archivedAt: serverTimestamp(),
+      originalMessageId: id,
+    });
+    batch.delete(doc(db, `artifacts/${appId}/public/data/messages/${id}`));
+  }
+  await batch.commit();
+}
+
+// Routing reads every staff profile, which guests can't, so the server picks the assignee
+const requestAssignment = (appId, roomId, requestId) =>
+  authedFetch("/api/assign", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ appId, roomId, requestId }),
+  }).catch((err) => console.error("Routing failed:", err));
+
+// Push for staff-side events with no message of their own (a "handoff"); fire and forget.
+// Escalations are found and pushed by the /api/escalate cron.
+const notifyStaff = (appId, roomId, event) =>
+  authedFetch("/api/push", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ appId, roomId, event }),
+  }).catch((err) => console.error("Push notify failed:", err));
+
+// Scales an image down to fit maxDim and encodes it as JPEG (on white, since JPEG has no alpha)
+async function resizeToJpeg(bitmap, maxDim, quality) {
+  const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Could not encode image"))), "image/jpeg", quality)
+  );
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+// Uploads a chat attachment under basePath and returns the metadata stored on the message.
+// Photos become a max 1600px JPEG plus a 320px thumbnail for the bubble.
+async function uploadAttachment(basePath, file) {
+  const put = async (name, blob) => {
+    const fileRef = storageRef(getStorage(), `${basePath}/${name}`);
+    await uploadBytes(fileRef, blob, { contentType: blob.type, customMetadata: { originalName: file.name } });
+    return { path: fileRef.fullPath, url: await getDownloadURL(fileRef) };
+  };
+  if (ATTACHMENT_TYPES[file.type] === "document") {
+    const stored = await put(file.name.replace(/[^\w.-]+/g, "_"), file);
+    return { kind: "document", ...stored, name: file.name, contentType: file.type, size: file.size };
+  }
+  const bitmap = await createImageBitmap(file);
+  try {
+    const full = await resizeToJpeg(bitmap, 1600, 0.82);
+    const thumb = await resizeToJpeg(bitmap, 320, 0.7);
+    const stored = await put("image.jpg", full.blob);
+    const storedThumb = await put("thumb.jpg", thumb.blob);
+    return {
+      kind: "image",
+      ...stored,
+      thumbPath: storedThumb.path,
+      thumbUrl: storedThumb.url,
+      name: file.name,
+      contentType: "image/jpeg",
+      size: full.blob.size,
+      width: full.width,
+      height: full.height,
+    };
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+// "4m", "1h 20m", "2d 3h"
+const formatWait = (ms) => {
+  const mins = Math.max(0, Math.floor(ms / 60000));
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours}h ${mins % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// One /api/translate call for several target languages (none just detects), with the hotel's glossary
+// applied server-side (it needs the caller's ID token). The provider detects the language; sourceLang is only the sender's claim.
+// Resolves to { translations: { [code]: { translated, provider, confidence, detectedLang } }, detectedLang };
+// failed targets are missing.
+async function translateText(appId, text, sourceLang, targetLangs) {
+  const res = await authedFetch("/api/translate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, sourceLang, targetLangs, appId }),
+  });
+  if (!res.ok) return { translations: {}, detectedLang: null };
+  const { translations, detectedLang } = await res.json();
+  return { translations: translations || {}, detectedLang: detectedLang || null };
+}
+
+// Every message, live and archived, sent between the local days range.from and range.to (YYYY-MM-DD,
+// inclusive), with its id and a `source` of "live" or "archived". Analytics and search load this; search
+// narrows it to one room and/or sender role in the query itself (indexes in firestore.indexes.json).
+async function loadMessagesInRange(db, appId, range, { roomId, role } = {}) {
+  const start = new Date(`${range.from}T00:00:00`);
+  const end = new Date(`${range.to}T00:00:00`);
+  end.setDate(end.getDate() + 1);
+  const narrow = [...(roomId ? [where("roomId", "==", roomId)] : []), ...(role ? [where("senderRole", "==", role)] : [])];
+  const load = async (name, source) => {
+    const snap = await getDocs(query(collection(db, `artifacts/${appId}/public/data/${name}`), ...narrow, where("timestamp", ">=", start), where("timestamp", "<", end)));
+    return snap.docs.map((d) => ({ id: d.id, ...d.data(), source }));
+  };
+  const [live, archived] = await Promise.all([load("messages", "live"), load("archived_messages", "archived")]);
+  return [...live, ...archived];
+}
+
+// Just the translations of translateText
+async function requestTranslations(appId, text, sourceLang, targetLangs) {
+  if (!targetLangs.length) return {};
+  return (await translateText(appId, text, sourceLang, targetLangs)).translations;
+}
+
 const PageShell = ({ children }) => (
-  <div className="bg-gray-100 min-h-screen w-full flex items-center justify-center p-4">
+  <div className="bg-gray-100 min-h-screen w-full flex items-center justify-center p-4" dir={useLocale().dir}>
     <div className="w-full max-w-md bg-white rounded-2xl shadow-xl overflow-hidden flex flex-col" style={{ height: "90vh" }}>
       {children}
     </div>
   </div>
 );
 
-const Header = ({ showHome, onHome }) => (
-  <div className="bg-blue-600 text-white p-4 text-center relative">
-    {showHome && (
-      <button onClick={onHome} className="absolute left-4 top-1/2 -translate-y-1/2 text-white/90 hover:text-white" aria-label="Home">
-        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"/></svg>
-      </button>
-    )}
-    <h1 className="text-2xl font-bold">HotelConnect</h1>
-    <p className="text-xs opacity-90">Multilingual Guest Messaging</p>
-  </div>
-);
+const Header = ({ hotel, showHome, onHome }) => {
+  const { t } = useLocale();
+  return (
+    <div className="text-white p-4 text-center relative" style={{ backgroundColor: hotel.primaryColor }}>
+      {showHome && (
+        <button onClick={onHome} className="absolute start-4 top-1/2 -translate-y-1/2 text-white/90 hover:text-white" aria-label={t("header.home")}>
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"/></svg>
+        </button>
+      )}
+      <h1 className="text-2xl font-bold flex items-center justify-center gap-2">
+        {hotel.logoUrl && <img src={hotel.logoUrl} alt="" className="h-7 w-7 rounded object-contain bg-white/90" />}
+        {hotel.name}
+      </h1>
+      <p className="text-xs opacity-90">{t("header.tagline")}</p>
+    </div>
+  );
+};
 
 const Loader = () => (
   <div className="flex flex-1 items-center justify-center p-12">
@@ -62,37 +599,71 @@ const Loader = () => (
   </div>
 );
 
-const ErrorPanel = ({ message, onHome }) => (
-  <div className="flex-1 p-6 flex flex-col items-center justify-center gap-4 text-center">
-    <p className="text-red-600 font-semibold">{message}</p>
-    <button onClick={onHome} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Back</button>
-  </div>
-);
+// message is a key from src/i18n.js
+const ErrorPanel = ({ message, onHome }) => {
+  const { t } = useLocale();
+  return (
+    <div className="flex-1 p-6 flex flex-col items-center justify-center gap-4 text-center">
+      <p className="text-red-600 font-semibold">{t(message)}</p>
+      <button onClick={onHome} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">{t("common.back")}</button>
+    </div>
+  );
+};
 
 export default function App() {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
   const [user, setUser] = useState(null);
   const [userDoc, setUserDoc] = useState(null);
-  const [role, setRole] = useState(null);
-  const [staffProfile, setStaffProfile] = useState(null); // 'guest' | 'staff'
+  const [pendingCheckin, setPendingCheckin] = useState(() => takeUrlParam(CHECKIN_PARAM));
+  const [openRoomId, setOpenRoomId] = useState(() => takeUrlParam("room")); // from a tapped notification
+  const [checkinError, setCheckinError] = useState("");
+  const [viewingStay, setViewingStay] = useState(false); // guest looking back at their last stay
+  const [role, setRole] = useState(() => (pendingCheckin ? "guest" : null)); // 'guest' | 'staff'
+  // Active property: a ?hotel= link, the hotel a scanned QR belongs to, this device's last one, or the default.
+  // Null until one is picked from the registry (see HotelPicker).
+  const [appId, setAppId] = useState(
+    () => takeUrlParam("hotel") || (pendingCheckin && hotelFromCheckinToken(pendingCheckin)) || storedHotelId() || DEFAULT_HOTEL_ID
+  );
+  const [hotel, setHotel] = useState(() => hotelConfig(appId));
+  const appIdRef = useRef(appId);
+  appIdRef.current = appId;
+
+  const [staffProfile, setStaffProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [ready, setReady] = useState(false);
-  const [error, setError] = useState("");
+  const [error, setError] = useState(""); // message key, see src/i18n.js
+  const [guestUiLanguage, setGuestUiLanguage] = useState(initialUiLanguage);
+
+  const uiLanguage = role === "staff"
+    ? staffProfile?.language?.code || hotel.staffLanguage.code
+    : userDoc?.language?.code || guestUiLanguage;
+  const locale = useMemo(() => localeFor(uiLanguage), [uiLanguage]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(UI_LANGUAGE_KEY, guestUiLanguage);
+    } catch {
+      // private browsing: detect again next launch
+    }
+  }, [guestUiLanguage]);
 
-  const appId = useMemo(() => (typeof __app_id !== "undefined" ? __app_id : "default-app-id"), []);
+  useEffect(() => {
+    document.documentElement.lang = locale.lang;
+    document.documentElement.dir = locale.dir;
+  }, [locale]);
 
   // Firebase init & auth
   useEffect(() => {
     try {
-      const firebaseConfig = JSON.parse(typeof __firebase_config !== "undefined" ? __firebase_config : "{}");
-      if (!firebaseConfig || !firebaseConfig.apiKey) {
-        setError("Missing Firebase configuration.");
+      if (!FIREBASE_CONFIG.apiKey || !FIREBASE_CONFIG.projectId) {
+        setError("error.config");
         setLoading(false);
         return;
       }
-      const app = initializeApp(firebaseConfig);
-      const _db = getFirestore(app);
+      const app = initializeApp(FIREBASE_CONFIG);
+      // Offline persistence: rooms and history stay readable, and writes queue, when Wi-Fi drops
+      const _db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
       const _auth = getAuth(app);
       setDb(_db);
       setAuth(_auth);
@@ -101,15 +672,16 @@ export default function App() {
         try {
           if (current) {
             setUser(current);
-            const ref = doc(_db, `artifacts/${appId}/users/${current.uid}`);
-            const snap = await getDoc(ref);
-            if (snap.exists()) setUserDoc(snap.data());
+            if (appIdRef.current) {
+              const snap = await getDoc(doc(_db, `artifacts/${appIdRef.current}/users/${current.uid}`));
+              setUserDoc(snap.exists() ? snap.data() : null);
+            }
           } else {
             await signInAnonymously(_auth);
           }
         } catch (e) {
           console.error(e);
-          setError("Authentication failed.");
+          setError("error.auth");
         } finally {
           setReady(true);
           setLoading(false);
@@ -118,256 +690,548 @@ export default function App() {
       return () => unsub();
     } catch (e) {
       console.error(e);
-      setError("App initialization failed.");
+      setError("error.init");
       setLoading(false);
     }
-  }, [appId]);
+  }, []);
 
-  // Subscribe to staff profile when signed in (used for staff language & name)
+  // The active hotel's config (name, branding, languages), kept live; remembered for next time
   useEffect(() => {
-    if (!db || !user) return;
+    if (!appId) return;
+    try {
+      localStorage.setItem(HOTEL_STORAGE_KEY, appId);
+    } catch {
+      // private browsing: just don't remember it
+    }
+    if (!db) return;
+    const unsub = onSnapshot(doc(db, "hotels", appId), (snap) => setHotel(hotelConfig(appId, snap.data())), (err) => console.error(err));
+    return () => unsub();
+  }, [db, appId]);
+
+  useEffect(() => { document.title = hotel.name; }, [hotel.name]);
+
+  // Profiles are per hotel, so drop the old ones until the new hotel's arrive
+  const switchHotel = (id) => {
+    if (!id || id === appId) return;
+    setUserDoc(null);
+    setStaffProfile(null);
+    setHotel(hotelConfig(id));
+    setAppId(id);
+  };
+
+  // Keep the guest's user doc live so front-desk check-ins, moves and checkouts show up straight away
+  useEffect(() => {
+    if (!db || !user || !appId) return;
+    const ref = doc(db, `artifacts/${appId}/users/${user.uid}`);
+    const unsub = onSnapshot(ref, (snap) => setUserDoc(snap.exists() ? snap.data() : null), (err) => console.error(err));
+    return () => unsub();
+  }, [db, user, appId]);
+
+  // Subscribe to staff profile when signed in (used for staff role, language & name)
+  useEffect(() => {
+    setStaffProfile(null);
+    if (!db || !user || user.isAnonymous || !appId) return;
     const ref = doc(db, `artifacts/${appId}/staff/${user.uid}`);
-    const unsub = onSnapshot(ref, (snap) => setStaffProfile(snap.data() || null));
+    const unsub = onSnapshot(ref, (snap) => setStaffProfile(snap.data() || null), () => setStaffProfile(null));
     return () => unsub();
   }, [db, user, appId]);
 
-  const handleRegister = async ({ name, languageKey, roomNumber }) => {
+  const handleRegister = async ({ name, languageKey }) => {
     if (!db || !user) return;
     setLoading(true);
     try {
       const lang = LANGUAGES[languageKey] || HOTEL_LANGUAGE;
-      const checkInNow = !!roomNumber && String(roomNumber).trim().length > 0;
       const profile = {
         name,
         language: { label: lang.label, code: lang.code },
         role: "guest",
-        roomId: checkInNow ? String(roomNumber).trim() : null,
-        isCheckedIn: checkInNow,
+        roomId: null,
+        isCheckedIn: false,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
       };
       await setDoc(doc(db, `artifacts/${appId}/users/${user.uid}`), profile);
-
-      if (checkInNow) {
-        const rid = String(roomNumber).trim();
-        await setDoc(
-          doc(db, `artifacts/${appId}/public/data/rooms/${rid}`),
-          {
-            guestName: name,
-            guestLanguage: { label: lang.label, code: lang.code },
-            status: "occupied",
-            createdAt: serverTimestamp(),
-            updatedAt: serverTimestamp(),
-          },
-          { merge: true }
-        );
-      }
-
       setUserDoc(profile);
     } catch (e) {
       console.error(e);
-      setError("Registration failed.");
+      setError("error.register");
     } finally {
       setLoading(false);
     }
   };
 
-  const handleGuestCheckIn = async () => {
-    if (!db || !user || !userDoc) return;
+  const handleGuestCheckIn = async (token) => {
+    if (!db || !user || !userDoc || !token) return;
     setLoading(true);
+    setCheckinError("");
     try {
-      const roomId = uuid();
-      await setDoc(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`), {
-        guestName: userDoc.name,
-        guestLanguage: userDoc.language,
-        status: "occupied",
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-      });
-      await setDoc(doc(db, `artifacts/${appId}/users/${user.uid}`), { roomId, isCheckedIn: true, updatedAt: serverTimestamp() }, { merge: true });
+      const res = await fetch(`/api/checkin-token?token=${encodeURIComponent(token)}`);
+      const claims = await res.json().catch(() => ({}));
+      if (res.status === 410) return setCheckinError("checkin.expired");
+      if (!res.ok) return setCheckinError("checkin.invalid");
+      if (claims.appId !== appId) {
+        // A code from another of the group's hotels: switch over and redeem it there once registered
+        switchHotel(claims.appId);
+        setPendingCheckin(token);
+        return;
+      }
+
+      const roomId = claims.roomId;
+      // Security rules only accept the room if the nonce still matches and the room's latest code hasn't
+      // expired; the nonce is cleared on checkout, so codes printed for an earlier stay stop working
+      try {
+        await setDoc(
+          doc(db, `artifacts/${appId}/users/${user.uid}`),
+          { roomId, checkinNonce: claims.nonce, isCheckedIn: true, updatedAt: serverTimestamp() },
+          { merge: true }
+        );
+      } catch (e) {
+        if (e.code !== "permission-denied") throw e;
+        return setCheckinError("checkin.revoked");
+      }
+
+      // A second guest scanning the same room joins the existing conversation and stay;
+      // checking into an empty room starts a new stay record
+      const roomRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
+      const current = (await getDoc(roomRef)).data();
+      const occupied = current?.status === "occupied";
+      const joining = occupied && !!current.stayId;
+      const stayRef = joining
+        ? doc(db, `artifacts/${appId}/public/data/stays/${current.stayId}`)
+        : doc(collection(db, `artifacts/${appId}/public/data/stays`));
+      if (joining) {
+        await updateDoc(stayRef, { guestIds: arrayUnion(user.uid), updatedAt: serverTimestamp() });
+      } else {
+        await setDoc(stayRef, {
+          roomId,
+          guestName: current?.guestName && occupied ? current.guestName : userDoc.name,
+          guestLanguage: current?.guestLanguage && occupied ? current.guestLanguage : userDoc.language,
+          guestIds: [user.uid],
+          status: "active",
+          checkedInAt: serverTimestamp(),
+          checkedOutAt: null,
+          updatedAt: serverTimestamp(),
+        });
+      }
+      await setDoc(
+        roomRef,
+        {
+          // The room doc outlives stays, so a new stay must not inherit the previous guest's activity
+          ...(occupied ? {} : {
+            guestName: userDoc.name,
+            guestLanguage: userDoc.language,
+            createdAt: serverTimestamp(),
+            lastMessagePreview: null,
+            lastMessageRole: null,
+            awaitingSince: null,
+            ...UNASSIGNED,
+          }),
+          ...(joining ? {} : { stayId: stayRef.id }),
+          status: "occupied",
+          updatedAt: serverTimestamp(),
+        },
+        { merge: true }
+      );
+      await addDoc(
+        collection(db, `artifacts/${appId}/audit_log`),
+        auditEntry({ id: user.uid, name: userDoc.name, role: "guest" }, "check_in", { roomId, stayId: stayRef.id, guestName: userDoc.name })
+      );
       setUserDoc((p) => ({ ...p, roomId, isCheckedIn: true }));
     } catch (e) {
       console.error(e);
-      setError("Check-in failed.");
+      setError("error.checkin");
     } finally {
       setLoading(false);
     }
   };
 
+  // A tapped notification lands on /?room=<id>; go straight to that conversation
+  useEffect(() => {
+    if (!openRoomId || role) return;
+    if (isStaffRole(staffProfile?.role)) setRole("staff");
+    else if (userDoc?.isCheckedIn) {
+      setRole("guest");
+      setOpenRoomId(null);
+    }
+  }, [openRoomId, role, staffProfile, userDoc]);
+
+  // Redeem a scanned/deep-linked token once the guest has registered
+  useEffect(() => {
+    if (!pendingCheckin || !user || !userDoc?.name) return;
+    const token = pendingCheckin;
+    setPendingCheckin(null);
+    if (!userDoc.isCheckedIn) handleGuestCheckIn(token);
+  }, [pendingCheckin, user, userDoc]);
+
   const handleGuestCheckOut = async (roomId) => {
     if (!db || !user || !roomId) return;
     setLoading(true);
     try {
-      const msgsQ = query(collection(db, `artifacts/${appId}/public/data/messages`), where("roomId", "==", roomId));
-      const snap = await getDocs(msgsQ);
-      const docs = snap.docs;
-      const chunk = 400;
-      for (let i = 0; i < docs.length; i += chunk) {
-        const batch = writeBatch(db);
-        for (const d of docs.slice(i, i + chunk)) {
-          batch.set(doc(db, `artifacts/${appId}/public/data/archived_messages/${d.id}`), {
-            ...d.data(),
-            archivedAt: serverTimestamp(),
-            originalMessageId: d.id,
-          });
-          batch.delete(d.ref);
-        }
-        await batch.commit();
-      }
-      await setDoc(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`), { status: "checked_out", updatedAt: serverTimestamp() }, { merge: true });
-      await setDoc(doc(db, `artifacts/${appId}/users/${user.uid}`), { roomId: null, isCheckedIn: false, updatedAt: serverTimestamp() }, { merge: true });
-      setUserDoc((p) => ({ ...p, roomId: null, isCheckedIn: false }));
+      const stayId = await checkOutRoom(db, appId, { id: user.uid, name: userDoc?.name, role: "guest" }, roomId);
+      setUserDoc((p) => ({ ...p, roomId: null, isCheckedIn: false, lastStayId: stayId }));
     } catch (e) {
       console.error(e);
-      setError("Checkout failed.");
+      setError("error.checkout");
     } finally {
       setLoading(false);
     }
   };
 
+  // Staff sign-in helpers throw so StaffLogin can show the reason inline
+  const handleStaffSignIn = ({ email, password }) => signInWithEmailAndPassword(auth, email, password);
+
+  const handleRedeemInvite = async ({ code, name, languageKey, email, password }) => {
+    let current = auth.currentUser;
+    if (!current || current.isAnonymous) current = (await createUserWithEmailAndPassword(auth, email, password)).user;
+    const inviteRef = doc(db, `artifacts/${appId}/invites/${code}`);
+    const invite = await getDoc(inviteRef);
+    if (!invite.exists() || invite.data().usedBy) throw new Error("This invite code is invalid or has already been used.");
+    const lang = LANGUAGES[languageKey] || HOTEL_LANGUAGE;
+    // Rules check the staff doc and the invite together, so they must land in one batch
+    const batch = writeBatch(db);
+    batch.set(doc(db, `artifacts/${appId}/staff/${current.uid}`), {
+      name,
+      email: current.email,
+      language: { label: lang.label, code: lang.code },
+      role: invite.data().role,
+      inviteCode: code,
+      followedRooms: [],
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    batch.update(inviteRef, { usedBy: current.uid, usedAt: serverTimestamp() });
+    await batch.commit();
+  };
+
+  // Dropping back to an anonymous session (onAuthStateChanged signs in again)
+  const handleStaffSignOut = async () => {
+    setRole(null);
+    await signOut(auth);
+  };
+
   const reset = () => setRole(null);
 
   if (!ready || loading) return <PageShell><Loader/></PageShell>;
-  if (error) return <PageShell><ErrorPanel message={error} onHome={reset} /></PageShell>;
+  if (error) {
+    return (
+      <LocaleContext.Provider value={locale}>
+        <PageShell><ErrorPanel message={error} onHome={reset} /></PageShell>
+      </LocaleContext.Provider>
+    );
+  }
+  if (!appId) {
+    return (
+      <LocaleContext.Provider value={locale}>
+        <PageShell><HotelPicker db={db} onPick={switchHotel} /></PageShell>
+      </LocaleContext.Provider>
+    );
+  }
 
   return (
-    <PageShell>
-      <Header showHome={!!role} onHome={reset} />
-
-      {!role && <RoleSelect onChoose={setRole} />}
+    <HotelContext.Provider value={hotel}>
+    <LocaleContext.Provider value={locale}>
+      <PageShell>
+        <Header hotel={hotel} showHome={!!role} onHome={reset} />
 
-      {role === "guest" && (!userDoc?.name ? (
-        <Registration onSubmit={handleRegister} />
-      ) : !userDoc?.isCheckedIn ? (
-        <QRCodeScreen userName={userDoc.name} onSimulateScan={handleGuestCheckIn} />
-      ) : (
-        <Chat
-          db={db}
-          appId={appId}
-          role="guest"
-          roomId={userDoc.roomId}
-          currentUser={{ id: user.uid, name: userDoc.name, language: userDoc.language }}
-          onGuestCheckout={() => handleGuestCheckOut(userDoc.roomId)}
-        />
-      ))}
+        {!role && <RoleSelect onChoose={setRole} />}
 
-      {role === "staff" && (
-        !staffProfile?.name ? (
-          <StaffRegistration onSubmit={async ({ name, languageKey }) => {
-            if (!db || !user) return;
-            const lang = LANGUAGES[languageKey] || HOTEL_LANGUAGE;
-            await setDoc(
-              doc(db, `artifacts/${appId}/staff/${user.uid}`),
-              {
-                name,
-                language: { label: lang.label, code: lang.code },
-                followedRooms: [],
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp(),
-              },
-              { merge: true }
-            );
-          }} />
+        {role === "guest" && (!userDoc?.name ? (
+          <Registration onSubmit={handleRegister} onLanguageChange={setGuestUiLanguage} />
+        ) : !userDoc?.isCheckedIn ? (
+          viewingStay && userDoc.lastStayId ? (
+            <StayTranscript db={db} appId={appId} stayId={userDoc.lastStayId} viewer={{ id: user.uid, language: userDoc.language }} asGuest onBack={() => setViewingStay(false)} />
+          ) : (
+            <QRCodeScreen
+              userName={userDoc.name}
+              error={checkinError}
+              onScan={handleGuestCheckIn}
+              onViewLastStay={userDoc.lastStayId ? () => setViewingStay(true) : null}
+            />
+          )
         ) : (
-          <StaffDashboard
+          <Chat
+            key={userDoc.roomId}
             db={db}
             appId={appId}
-            staff={{ id: user?.uid, name: staffProfile.name, language: staffProfile.language }}
+            role="guest"
+            roomId={userDoc.roomId}
+            currentUser={{ id: user.uid, name: userDoc.name, language: userDoc.language }}
+            onGuestCheckout={() => handleGuestCheckOut(userDoc.roomId)}
           />
-        )
-      )}
-    </PageShell>
+        ))}
+
+        {role === "staff" && (
+          !user?.isAnonymous && isStaffRole(staffProfile?.role) ? (
+            <StaffDashboard
+              key={appId}
+              db={db}
+              appId={appId}
+              staff={{ id: user.uid, name: staffProfile.name, language: staffProfile.language, role: staffProfile.role }}
+              openRoomId={openRoomId}
+              onRoomOpened={() => setOpenRoomId(null)}
+              onSwitchHotel={switchHotel}
+              onSignOut={handleStaffSignOut}
+            />
+          ) : (
+            <StaffLogin
+              account={user && !user.isAnonymous ? user.email : null}
+              onSignIn={handleStaffSignIn}
+              onRedeemInvite={handleRedeemInvite}
+              onSignOut={handleStaffSignOut}
+            />
+          )
+        )}
+      </PageShell>
+    </LocaleContext.Provider>
+    </HotelContext.Provider>
   );
 }
 
-const RoleSelect = ({ onChoose }) => (
-  <div className="flex-1 p-8 flex flex-col items-center justify-center gap-4">
-    <h2 className="text-xl font-semibold text-gray-800">Who are you?</h2>
-    <button onClick={() => onChoose("guest")} className="w-full max-w-xs bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700">I am a Guest</button>
-    <button onClick={() => onChoose("staff")} className="w-full max-w-xs bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700">I am Hotel Staff</button>
-  </div>
-);
+// A device with no hotel yet (no link, QR code, earlier visit or VITE_DEFAULT_HOTEL_ID) chooses from the
+// registry; with a single hotel there is nothing to choose
+const HotelPicker = ({ db, onPick }) => {
+  const { t } = useLocale();
+  const [hotels, setHotels] = useState(null);
+
+  useEffect(() => {
+    getDocs(collection(db, "hotels"))
+      .then((snap) => {
+        const list = snap.docs.map((d) => ({ id: d.id, name: d.data().name || d.id })).sort((a, b) => a.name.localeCompare(b.name));
+        if (list.length === 1) onPick(list[0].id);
+        else setHotels(list);
+      })
+      .catch((err) => {
+        console.error("Failed to load hotels:", err);
+        setHotels([]);
+      });
+  }, [db]);
+
+  if (!hotels) return <Loader />;
+  return (
+    <div className="flex-1 p-8 flex flex-col items-center justify-center gap-4">
+      <h2 className="text-xl font-semibold text-gray-800">{t("hotel.title")}</h2>
+      {hotels.length === 0 && <p className="text-gray-600 text-sm">{t("hotel.none")}</p>}
+      {hotels.map((h) => (
+        <button key={h.id} onClick={() => onPick(h.id)} className="w-full max-w-xs bg-blue-600 text-white py-3 rounded-lg font-semibold hover:bg-blue-700">{h.name}</button>
+      ))}
+    </div>
+  );
+};
+
+const RoleSelect = ({ onChoose }) => {
+  const { t } = useLocale();
+  return (
+    <div className="flex-1 p-8 flex flex-col items-center justify-center gap-4">
+      <h2 className="text-xl font-semibold text-gray-800">{t("role.title")}</h2>
+      <button onClick={() => onChoose("guest")} className="w-full max-w-xs bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700">{t("role.guest")}</button>
+      <button onClick={() => onChoose("staff")} className="w-full max-w-xs bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700">{t("role.staff")}</button>
+    </div>
+  );
+};
 
-const Registration = ({ onSubmit }) => {
+// Picking a language switches the form into it straight away, before the profile exists
+const Registration = ({ onSubmit, onLanguageChange }) => {
+  const hotel = useHotel();
+  const { lang: uiLanguage, t } = useLocale();
   const [name, setName] = useState("");
-  const [lang, setLang] = useState("English");
-  const [room, setRoom] = useState("");
+  const [lang, setLang] = useState(
+    () => (hotel.guestLanguages.find((l) => primaryLang(l.code) === primaryLang(uiLanguage)) || hotel.guestLanguages[0])?.label || "English"
+  );
+  const choose = (label) => {
+    setLang(label);
+    if (LANGUAGES[label]) onLanguageChange(LANGUAGES[label].code);
+  };
+  // Offer the device's language, in that language, when the guest has picked a different one
+  const device = useMemo(
+    () => detectLanguage(navigator.languages?.length ? [...navigator.languages] : [navigator.language], hotel.guestLanguages),
+    [hotel.guestLanguages]
+  );
   const submit = (e) => {
     e.preventDefault();
     if (!name.trim()) return;
-    onSubmit({ name: name.trim(), languageKey: lang, roomNumber: room });
+    onSubmit({ name: name.trim(), languageKey: lang });
   };
   return (
     <div className="p-6">
-      <h2 className="text-lg font-semibold text-gray-800 mb-4">Guest Registration</h2>
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">{t("register.title")}</h2>
       <form onSubmit={submit} className="space-y-4">
-        <input className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-blue-600" placeholder="Your name" value={name} onChange={(e) => setName(e.target.value)} />
-        <select className="w-full border border-gray-300 rounded-lg px-4 py-2 bg-white focus:ring-2 focus:ring-blue-600" value={lang} onChange={(e) => setLang(e.target.value)}>
-          {Object.keys(LANGUAGES).map((k) => (<option key={k} value={k}>{LANGUAGES[k].label}</option>))}
+        <input className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-blue-600" placeholder={t("register.name")} value={name} onChange={(e) => setName(e.target.value)} />
+        <select className="w-full border border-gray-300 rounded-lg px-4 py-2 bg-white focus:ring-2 focus:ring-blue-600" aria-label={t("register.language")} value={lang} onChange={(e) => choose(e.target.value)}>
+          {hotel.guestLanguages.map((l) => (<option key={l.code} value={l.label}>{l.label}</option>))}
         </select>
-        <select className="w-full border border-gray-300 rounded-lg px-4 py-2 bg-white focus:ring-2 focus:ring-blue-600" value={room} onChange={(e) => setRoom(e.target.value)}>
-          <option value="">Choose room (optional)</option>
-          {ROOM_NUMBERS.map((n) => (<option key={n} value={n}>{n}</option>))}
-        </select>
-        <p className="text-xs text-gray-500">Tip: Selecting a room checks you in immediately and opens chat (no QR needed).</p>
-        <button type="submit" className="w-full bg-blue-600 text-white rounded-lg py-2 hover:bg-blue-700">Continue</button>
+        {device && device.label !== lang && (
+          <button type="button" onClick={() => choose(device.label)} className="text-sm text-blue-600 hover:underline" lang={device.code}>
+            {translator(device.code)("switch.device", { language: languageName(device.code, device.code) })}
+          </button>
+        )}
+        <button type="submit" className="w-full bg-blue-600 text-white rounded-lg py-2 hover:bg-blue-700">{t("register.continue")}</button>
       </form>
     </div>
   );
 };
 
-const QRCodeScreen = ({ userName, onSimulateScan }) => (
-  <div className="flex-1 p-6 flex flex-col items-center justify-center text-center gap-4">
-    <h2 className="text-xl font-semibold text-gray-800">Welcome, {userName}!</h2>
-    <p className="text-gray-600">Scan the QR code in your room to begin your chat.</p>
-    <div className="w-40 h-40 bg-gray-200 rounded-lg grid place-items-center">
-      <svg xmlns="http://www.w3.org/2000/svg" className="w-16 h-16 text-gray-400" viewBox="0 0 24 24" fill="none" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" /></svg>
+const QRCodeScreen = ({ userName, error, onScan, onViewLastStay }) => {
+  const { t } = useLocale();
+  const canScan = typeof window !== "undefined" && "BarcodeDetector" in window && !!navigator.mediaDevices?.getUserMedia;
+  return (
+    <div className="flex-1 p-6 flex flex-col items-center justify-center text-center gap-4">
+      <h2 className="text-xl font-semibold text-gray-800">{t("qr.welcome", { name: userName })}</h2>
+      <p className="text-gray-600">{t("qr.scan")}</p>
+      {canScan ? (
+        <QrScanner onResult={onScan} />
+      ) : (
+        <p className="text-sm text-gray-500">{t("qr.useCamera")}</p>
+      )}
+      {error && <p className="text-sm text-red-600">{t(error)}</p>}
+      {onViewLastStay && (
+        <button onClick={onViewLastStay} className="text-sm text-blue-600 hover:underline">{t("qr.lastStay")}</button>
+      )}
     </div>
-    <button onClick={onSimulateScan} className="px-6 py-3 rounded-full bg-green-600 text-white hover:bg-green-700">Simulate Scan & Check In</button>
-  </div>
-);
+  );
+};
 
-// Staff registration (name + preferred language)
-const StaffRegistration = ({ onSubmit }) => {
+// Camera scanner for browsers that ship BarcodeDetector (Chrome/Android); others use the native camera app
+const QrScanner = ({ onResult }) => {
+  const { t } = useLocale();
+  const videoRef = useRef(null);
+  const onResultRef = useRef(onResult);
+  const [failed, setFailed] = useState(false);
+  onResultRef.current = onResult;
+
+  useEffect(() => {
+    let stream;
+    let timer;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+
+    (async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        const tick = async () => {
+          if (stopped) return;
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          const token = codes.map((c) => parseCheckinToken(c.rawValue)).find(Boolean);
+          if (token) onResultRef.current(token);
+          else timer = setTimeout(tick, 300);
+        };
+        tick();
+      } catch (e) {
+        console.error(e);
+        setFailed(true);
+      }
+    })();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, []);
+
+  if (failed) return <p className="text-sm text-gray-500">{t("qr.cameraUnavailable")}</p>;
+  return <video ref={videoRef} className="w-56 h-56 bg-gray-200 rounded-lg object-cover" muted playsInline />;
+};
+
+const AUTH_ERRORS = {
+  "auth/invalid-credential": "Wrong email or password.",
+  "auth/wrong-password": "Wrong email or password.",
+  "auth/user-not-found": "Wrong email or password.",
+  "auth/email-already-in-use": "An account with this email already exists. Sign in instead.",
+  "auth/weak-password": "Password must be at least 6 characters.",
+  "auth/invalid-email": "That email address doesn't look right.",
+  "permission-denied": "This invite code can't be used with this account.",
+};
+
+// Staff sign-in (email/password) or first-time setup with an invite code.
+// `account` is set when someone is signed in but has no staff role yet, e.g. an invite that failed halfway.
+const StaffLogin = ({ account, onSignIn, onRedeemInvite, onSignOut }) => {
+  const hotel = useHotel();
+  const [mode, setMode] = useState(account ? "invite" : "signin"); // 'signin' | 'invite'
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
   const [name, setName] = useState("");
-  const [lang, setLang] = useState("English");
-  const submit = (e) => {
+  const [lang, setLang] = useState(() => hotel.staffLanguage.label);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
     e.preventDefault();
-    if (!name.trim()) return;
-    onSubmit({ name: name.trim(), languageKey: lang });
+    setBusy(true);
+    setError("");
+    try {
+      if (mode === "signin") await onSignIn({ email: email.trim(), password });
+      else {
+        if (!name.trim() || !code.trim()) throw new Error("Enter your name and invite code.");
+        await onRedeemInvite({ code: code.trim().toUpperCase(), name: name.trim(), languageKey: lang, email: email.trim(), password });
+      }
+    } catch (err) {
+      console.error(err);
+      setError(AUTH_ERRORS[err.code] || err.message || "Sign-in failed.");
+    } finally {
+      setBusy(false);
+    }
   };
+
+  const input = "w-full border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-blue-600";
   return (
-    <div className="p-6">
-      <h2 className="text-lg font-semibold text-gray-800 mb-4">Staff Registration</h2>
+    <div className="p-6 overflow-y-auto">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">{mode === "signin" ? "Staff Sign In" : "Join with an Invite"}</h2>
       <form onSubmit={submit} className="space-y-4">
-        <input className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-blue-600" placeholder="Your name" value={name} onChange={(e) => setName(e.target.value)} />
-        <select className="w-full border border-gray-300 rounded-lg px-4 py-2 bg-white focus:ring-2 focus:ring-blue-600" value={lang} onChange={(e) => setLang(e.target.value)}>
-          {Object.keys(LANGUAGES).map((k) => (<option key={k} value={k}>{LANGUAGES[k].label}</option>))}
-        </select>
-        <button type="submit" className="w-full bg-indigo-600 text-white rounded-lg py-2 hover:bg-indigo-700">Save & Continue</button>
+        {mode === "invite" && (
+          <>
+            <input className={input} placeholder="Invite code" value={code} onChange={(e) => setCode(e.target.value)} autoCapitalize="characters" />
+            <input className={input} placeholder="Your name" value={name} onChange={(e) => setName(e.target.value)} />
+            <select className={`${input} bg-white`} value={lang} onChange={(e) => setLang(e.target.value)}>
+              {Object.keys(LANGUAGES).map((k) => (<option key={k} value={k}>{LANGUAGES[k].label}</option>))}
+            </select>
+          </>
+        )}
+        {account ? (
+          <p className="text-xs text-gray-500">Signed in as {account}.</p>
+        ) : (
+          <>
+            <input className={input} type="email" placeholder="Work email" autoComplete="username" value={email} onChange={(e) => setEmail(e.target.value)} required />
+            <input className={input} type="password" placeholder="Password" autoComplete={mode === "signin" ? "current-password" : "new-password"} value={password} onChange={(e) => setPassword(e.target.value)} required />
+          </>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button type="submit" disabled={busy} className="w-full bg-indigo-600 text-white rounded-lg py-2 hover:bg-indigo-700 disabled:bg-indigo-300">
+          {busy ? "Please wait…" : mode === "signin" ? "Sign In" : "Create Staff Account"}
+        </button>
       </form>
+      <div className="mt-4 text-center text-sm">
+        {account ? (
+          <button onClick={onSignOut} className="text-gray-600 underline">Use a different account</button>
+        ) : (
+          <button onClick={() => { setMode(mode === "signin" ? "invite" : "signin"); setError(""); }} className="text-indigo-600 underline">
+            {mode === "signin" ? "I have an invite code" : "I already have an account"}
+          </button>
+        )}
+      </div>
     </div>
   );
 };
 
-function StaffDashboard({ db, appId, staff }) {
+function StaffDashboard({ db, appId, staff, openRoomId, onRoomOpened, onSwitchHotel, onSignOut }) {
+  const hotel = useHotel();
   const [rooms, setRooms] = useState([]);
   const [selected, setSelected] = useState(null);
+  const [focusMessageId, setFocusMessageId] = useState(null); // set when a search result opens the room
   const [staffProfile, setStaffProfile] = useState(null);
-  const [view, setView] = useState("all"); // 'my' | 'all' | 'feed' (default to 'all' so it's obvious)
+  const [view, setView] = useState("all"); // 'my' | 'all' | 'desk' | 'requests' | 'history' | 'search' | 'qr' | 'templates' | 'glossary' | 'analytics' | 'rooms' | 'team' | 'property' (default to 'all' so it's obvious)
+  const [awaitingOnly, setAwaitingOnly] = useState(false);
+  const [statusFilter, setStatusFilter] = useState(""); // '' or a roomStatus()
+  const [now, setNow] = useState(Date.now());
 
-  // Ensure staff profile exists & subscribe
+  // Staff docs are created by invite redemption, so the profile always exists here
   useEffect(() => {
     if (!db || !staff?.id) return;
     const ref = doc(db, `artifacts/${appId}/staff/${staff.id}`);
-    const unsub = onSnapshot(ref, async (snap) => {
-      if (!snap.exists()) {
-        await setDoc(ref, { followedRooms: [], updatedAt: serverTimestamp() });
-        setStaffProfile({ followedRooms: [] });
-      } else {
-        setStaffProfile(snap.data());
-      }
-    });
+    const unsub = onSnapshot(ref, (snap) => setStaffProfile(snap.data() || null));
     return () => unsub();
   }, [db, appId, staff?.id]);
 
@@ -382,15 +1246,50 @@ function StaffDashboard({ db, appId, staff }) {
     return () => unsub();
   }, [db, appId]);
 
+  useEffect(() => {
+    if (!openRoomId) return;
+    const r = rooms.find((x) => x.id === openRoomId);
+    if (r) {
+      setSelected(r);
+      onRoomOpened();
+    }
+  }, [openRoomId, rooms]);
+
+  // Keeps the "waiting 12m" labels moving
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(t);
+  }, []);
+
+  const isSupervisor = staff.role === "supervisor" || staff.role === "admin";
   const followed = new Set(staffProfile?.followedRooms || []);
-  const myRooms = rooms.filter((r) => followed.has(r.id));
+  // Followed rooms, rooms assigned to me and, for supervisors, every escalated room
+  const myRooms = rooms.filter((r) => followed.has(r.id) || r.assigneeId === staff.id || (isSupervisor && r.escalatedAt));
+  // Rooms keep a running messageCount; each staff member stores the count they last saw per room
+  const unreadFor = (r) => Math.max(0, (r.messageCount || 0) - (staffProfile?.readCounts?.[r.id] || 0));
+  const awaitingReply = (r) => r.lastMessageRole === "guest";
+  const listed = (view === 'my' ? myRooms : rooms).filter((r) => (!awaitingOnly || awaitingReply(r)) && (!statusFilter || roomStatus(r) === statusFilter));
+  const unreadTotal = (list) => list.reduce((n, r) => n + unreadFor(r), 0);
+  const escalatedCount = rooms.filter((r) => r.escalatedAt).length;
+  const tabBadge = (n) => (n > 0 ? <span className="ml-1 text-[10px] px-1.5 rounded-full bg-red-500 text-white">{n}</span> : null);
+
+  // Only staff on duty are picked when new conversations are routed
+  const toggleOnDuty = () =>
+    updateDoc(doc(db, `artifacts/${appId}/staff/${staff.id}`), { onDuty: !staffProfile?.onDuty, updatedAt: serverTimestamp() })
+      .catch((err) => console.error("Duty toggle failed:", err));
 
   const toggleFollow = async (roomId) => {
     if (!db || !staff?.id) return;
     const ref = doc(db, `artifacts/${appId}/staff/${staff.id}`);
     const current = new Set(staffProfile?.followedRooms || []);
-    if (current.has(roomId)) current.delete(roomId); else current.add(roomId);
+    const following = !current.has(roomId);
+    if (following) current.add(roomId); else current.delete(roomId);
     await setDoc(ref, { followedRooms: Array.from(current), updatedAt: serverTimestamp() }, { merge: true });
+    // Followers' languages live on the room so senders know which translations to store; the assignee keeps theirs
+    const assigned = rooms.find((r) => r.id === roomId)?.assigneeId === staff.id;
+    await updateDoc(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`), {
+      [`staffLanguages.${staff.id}`]: following || assigned ? staff.language || hotel.staffLanguage : deleteField(),
+    });
   };
 
   if (selected) {
@@ -402,160 +1301,2171 @@ function StaffDashboard({ db, appId, staff }) {
         roomId={selected.id}
         currentUser={staff}
         guestLanguage={selected.guestLanguage}
-        onBack={() => setSelected(null)}
+        focusMessageId={focusMessageId}
+        onBack={() => {
+          setSelected(null);
+          setFocusMessageId(null);
+        }}
       />
     );
   }
 
   return (
     <div className="flex-1 flex flex-col">
-      <div className="p-3 border-b flex items-center gap-2 bg-white">
-        <button className={`px-3 py-1 rounded ${view === 'my' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('my')}>My Rooms</button>
-        <button className={`px-3 py-1 rounded ${view === 'all' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('all')}>All Rooms</button>
+      {/* Up to 13 tabs plus the controls: wrap onto more rows rather than overflow the narrow layout */}
+      <div className="p-3 border-b flex flex-wrap items-center gap-2 bg-white">
+        <button className={`px-3 py-1 rounded ${view === 'my' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('my')}>My Rooms{tabBadge(unreadTotal(myRooms))}{isSupervisor && escalatedCount > 0 && <span className="ml-1 text-[10px] px-1.5 rounded-full bg-orange-500 text-white" title="Escalated">{escalatedCount}</span>}</button>
+        <button className={`px-3 py-1 rounded ${view === 'all' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('all')}>All Rooms{tabBadge(unreadTotal(rooms))}</button>
+        <button className={`px-3 py-1 rounded ${view === 'desk' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('desk')}>Front Desk</button>
+        <button className={`px-3 py-1 rounded ${view === 'requests' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('requests')}>Requests</button>
+        <button className={`px-3 py-1 rounded ${view === 'history' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('history')}>History</button>
+        <button className={`px-3 py-1 rounded ${view === 'search' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('search')}>Search</button>
+        <button className={`px-3 py-1 rounded ${view === 'qr' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('qr')}>Room QR</button>
+        {(staff.role === 'supervisor' || staff.role === 'admin') && (
+          <button className={`px-3 py-1 rounded ${view === 'templates' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('templates')}>Templates</button>
+        )}
+        {(staff.role === 'supervisor' || staff.role === 'admin') && (
+          <button className={`px-3 py-1 rounded ${view === 'glossary' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('glossary')}>Glossary</button>
+        )}
+        {(staff.role === 'supervisor' || staff.role === 'admin') && (
+          <button className={`px-3 py-1 rounded ${view === 'analytics' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('analytics')}>Analytics</button>
+        )}
+        {staff.role === 'admin' && (
+          <button className={`px-3 py-1 rounded ${view === 'rooms' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('rooms')}>Rooms</button>
+        )}
+        {staff.role === 'admin' && (
+          <button className={`px-3 py-1 rounded ${view === 'team' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('team')}>Team</button>
+        )}
+        {staff.role === 'admin' && (
+          <button className={`px-3 py-1 rounded ${view === 'property' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`} onClick={() => setView('property')}>Property</button>
+        )}
+        <span className="ml-auto" />
+        <label className="text-xs text-gray-600 flex items-center gap-1" title="Only staff on duty are assigned new conversations">
+          <input type="checkbox" checked={!!staffProfile?.onDuty} onChange={toggleOnDuty} />
+          On duty
+        </label>
+        <PropertySwitcher db={db} uid={staff.id} current={appId} onSwitch={onSwitchHotel} />
+        <NotificationToggle db={db} docPath={`artifacts/${appId}/staff/${staff.id}`} />
+        <button onClick={onSignOut} className=" text-xs text-gray-600 hover:text-gray-900" title={`Signed in as ${staff.name} (${staff.role})`}>Sign out</button>
       </div>
 
+      {view === 'desk' ? (
+        <FrontDesk db={db} appId={appId} staff={staff} rooms={rooms} />
+      ) : view === 'requests' ? (
+        <ServiceRequestQueue db={db} appId={appId} staff={staff} onOpenRoom={(id) => setSelected(rooms.find((r) => r.id === id) || { id })} />
+      ) : view === 'history' ? <StayHistory db={db} appId={appId} staff={staff} /> : view === 'search' ? (
+        <MessageSearch
+          db={db}
+          appId={appId}
+          staff={staff}
+          rooms={rooms}
+          onOpenMessage={(roomId, messageId) => {
+            setFocusMessageId(messageId);
+            setSelected(rooms.find((r) => r.id === roomId) || { id: roomId });
+          }}
+        />
+      ) : view === 'qr' ? <RoomQrGenerator db={db} appId={appId} rooms={rooms} /> : view === 'templates' ? <TemplateManager db={db} appId={appId} staff={staff} /> : view === 'glossary' ? <GlossaryManager db={db} appId={appId} staff={staff} /> : view === 'analytics' ? <Analytics db={db} appId={appId} rooms={rooms} /> : view === 'rooms' ? <RoomInventory db={db} appId={appId} rooms={rooms} /> : view === 'team' ? <StaffTeam db={db} appId={appId} staff={staff} /> : view === 'property' ? <PropertySettings db={db} appId={appId} /> : (
       <div className="p-4 flex-1 overflow-y-auto">
-        <h2 className="text-lg font-semibold mb-3">{view === 'my' ? 'Rooms I Follow' : 'All Rooms'}</h2>
-        {(view === 'my' ? myRooms : rooms).length === 0 && (
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold">{view === 'my' ? 'My Rooms' : 'All Rooms'}</h2>
+          <div className="flex items-center gap-3">
+            <select className="text-xs border border-gray-300 rounded px-1 py-0.5 bg-white" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="">Any status</option>
+              {Object.entries(ROOM_STATUS_LABELS).map(([k, label]) => (<option key={k} value={k}>{label}</option>))}
+            </select>
+            <label className="text-xs text-gray-600 flex items-center gap-1">
+              <input type="checkbox" checked={awaitingOnly} onChange={(e) => setAwaitingOnly(e.target.checked)} />
+              Awaiting reply
+            </label>
+          </div>
+        </div>
+        {listed.length === 0 && (
           <div className="text-gray-600 text-sm bg-gray-50 border border-dashed rounded-lg p-4">
-            {view === 'my' ? (
+            {awaitingOnly ? (
+              <p>No guests are waiting for a reply.</p>
+            ) : statusFilter ? (
+              <p>No rooms are {ROOM_STATUS_LABELS[statusFilter].toLowerCase()}.</p>
+            ) : view === 'my' ? (
               <>
-                <p>You are not following any rooms yet.</p>
-                <p className="mt-1">Go to <strong>All Rooms</strong>, click a room, and press <strong>Follow</strong> to add it here.</p>
+                <p>No rooms are assigned to you and you are not following any.</p>
+                <p className="mt-1">Turn on <strong>On duty</strong> to be assigned new conversations, or go to <strong>All Rooms</strong> and press <strong>Follow</strong> on a room.</p>
               </>
             ) : (
               <>
                 <p>No rooms yet.</p>
-                <p className="mt-1">Ask a guest to register and choose a room number, or use <strong>Simulate Scan</strong> on the guest device.</p>
+                <p className="mt-1">An admin can add the hotel's rooms from the <strong>Rooms</strong> tab.</p>
               </>
             )}
           </div>
         )}
         <div className="space-y-2">
-          {(view === 'my' ? myRooms : rooms).map((r) => (
-            <div key={r.id} className={`w-full p-3 rounded-lg border flex items-center justify-between ${r.status === 'occupied' ? 'border-blue-200' : 'border-gray-200'}`}>
-              <div className="cursor-pointer" onClick={() => setSelected(r)}>
-                <p className="font-medium text-gray-800">Room: {r.id}</p>
-                <p className="text-xs text-gray-600">Guest: {r.guestName} • Preferred: {r.guestLanguage?.label || r.guestLanguage?.code}</p>
+          {listed.map((r) => {
+            const unread = unreadFor(r);
+            const waitingSince = awaitingReply(r) ? r.awaitingSince?.toMillis?.() : null;
+            const status = roomStatus(r);
+            return (
+              <div key={r.id} className={`w-full p-3 rounded-lg border flex items-center justify-between gap-2 ${waitingSince ? 'border-amber-300 bg-amber-50' : status === 'occupied' ? 'border-blue-200' : 'border-gray-200'}`}>
+                <div className="cursor-pointer min-w-0" onClick={() => setSelected(r)}>
+                  <p className="font-medium text-gray-800 flex items-center gap-2">
+                    Room: {r.id}
+                    {unread > 0 && <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-red-500 text-white">{unread} new</span>}
+                    {waitingSince && <span className="text-[10px] text-amber-700 font-normal">waiting {formatWait(now - waitingSince)}</span>}
+                    {r.escalatedAt && <span className="text-[10px] px-1.5 py-0.5 rounded-full bg-orange-500 text-white">Escalated</span>}
+                  </p>
+                  {status === 'occupied' && (
+                    <p className="text-xs text-gray-600">
+                      {r.assigneeId ? `Assigned to ${r.assigneeId === staff.id ? 'me' : r.assigneeName || 'staff'}` : 'Unassigned'}
+                      {r.department && r.department !== 'front_desk' ? ` • ${DEPARTMENTS[r.department] || r.department}` : ''}
+                    </p>
+                  )}
+                  {status === 'occupied' ? (
+                    <p className="text-xs text-gray-600">Guest: {r.guestName} • Preferred: {r.guestLanguage?.label || r.guestLanguage?.code}</p>
+                  ) : (r.floor || r.type) && (
+                    <p className="text-xs text-gray-500">{[r.floor && `Floor ${r.floor}`, r.type].filter(Boolean).join(" • ")}</p>
+                  )}
+                  {r.lastMessagePreview && (
+                    <p className={`text-xs truncate ${unread > 0 ? 'text-gray-900 font-medium' : 'text-gray-500'}`}>
+                      {r.lastMessageRole === 'staff' ? 'Staff: ' : ''}{r.lastMessagePreview}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className={`text-xs px-2 py-1 rounded-full ${status === 'occupied' ? 'bg-green-100 text-green-700' : status === 'out_of_order' ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-600'}`}>{ROOM_STATUS_LABELS[status]}</span>
+                  <button onClick={() => toggleFollow(r.id)} className={`text-xs px-2 py-1 rounded border ${followed.has(r.id) ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'bg-white border-gray-300 text-gray-700'}`}>{followed.has(r.id) ? 'Unfollow' : 'Follow'}</button>
+                  <button onClick={() => setSelected(r)} className="text-xs px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700">Open</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      )}
+    </div>
+  );
+}
+
+// Check guests in, move them between rooms and check them out (e.g. no-shows), with the audit trail
+function FrontDesk({ db, appId, staff, rooms }) {
+  const hotel = useHotel();
+  const [waiting, setWaiting] = useState([]);
+  const [log, setLog] = useState([]);
+  const [roomId, setRoomId] = useState("");
+  const [guestId, setGuestId] = useState("");
+  const [guestName, setGuestName] = useState("");
+  const [languageKey, setLanguageKey] = useState(() => hotel.guestLanguages[0]?.label || "English");
+  const [checkoutDate, setCheckoutDate] = useState(tomorrow);
+  const [moveTo, setMoveTo] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    // Guests who registered in the app but haven't checked in yet
+    const unsubUsers = onSnapshot(query(collection(db, `artifacts/${appId}/users`), where("isCheckedIn", "==", false), limit(100)), (snap) =>
+      setWaiting(
+        snap.docs
+          .map((d) => ({ id: d.id, ...d.data() }))
+          .filter((u) => u.name)
+          .sort((a, b) => (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0))
+      )
+    );
+    const unsubLog = onSnapshot(query(collection(db, `artifacts/${appId}/audit_log`), orderBy("at", "desc"), limit(30)), (snap) =>
+      setLog(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+    );
+    return () => { unsubUsers(); unsubLog(); };
+  }, [db, appId]);
+
+  const occupied = rooms.filter((r) => r.status === "occupied").sort(byRoomNumber);
+  const free = rooms.filter((r) => roomStatus(r) === "vacant").sort(byRoomNumber).map((r) => r.id);
+  const actor = { id: staff.id, name: staff.name, role: staff.role };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "That didn't work.");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checkIn = async (e) => {
+    e.preventDefault();
+    const guest = waiting.find((u) => u.id === guestId);
+    const name = guest?.name || guestName.trim();
+    if (!roomId || !name) return;
+    const lang = LANGUAGES[languageKey] || HOTEL_LANGUAGE;
+    const ok = await run(() => staffCheckIn(db, appId, actor, {
+      roomId,
+      guestName: name,
+      guestLanguage: guest?.language || { label: lang.label, code: lang.code },
+      guestId: guest?.id || null,
+      checkoutDate,
+    }));
+    if (ok) {
+      setRoomId("");
+      setGuestId("");
+      setGuestName("");
+      setCheckoutDate(tomorrow());
+    }
+  };
+
+  const move = (fromId) => moveTo[fromId] && run(() => moveGuest(db, appId, actor, fromId, moveTo[fromId]));
+  const checkOut = (r) => window.confirm(`Check out ${r.guestName || "the guest"} from room ${r.id}?`) && run(() => checkOutRoom(db, appId, actor, r.id));
+
+  const field = "border border-gray-300 rounded-lg px-2 py-1 text-sm bg-white";
+  return (
+    <div className="p-4 flex-1 overflow-y-auto space-y-5">
+      <form onSubmit={checkIn} className="space-y-2">
+        <h2 className="text-lg font-semibold">Check In</h2>
+        <select className={`${field} w-full`} value={roomId} onChange={(e) => setRoomId(e.target.value)} required>
+          <option value="">Room…</option>
+          {free.map((n) => (<option key={n} value={n}>Room {n}</option>))}
+        </select>
+        <select className={`${field} w-full`} value={guestId} onChange={(e) => setGuestId(e.target.value)}>
+          <option value="">Walk-in (no app yet)</option>
+          {waiting.map((u) => (<option key={u.id} value={u.id}>{u.name} · {u.language?.label}</option>))}
+        </select>
+        {!guestId && (
+          <div className="flex gap-2">
+            <input className={`${field} flex-1`} placeholder="Guest name" value={guestName} onChange={(e) => setGuestName(e.target.value)} required />
+            <select className={field} value={languageKey} onChange={(e) => setLanguageKey(e.target.value)}>
+              {hotel.guestLanguages.map((l) => (<option key={l.code} value={l.label}>{l.label}</option>))}
+            </select>
+          </div>
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Checkout
+          <input type="date" className={`${field} flex-1`} value={checkoutDate} onChange={(e) => setCheckoutDate(e.target.value)} required />
+        </label>
+        <button type="submit" disabled={busy} className="w-full bg-indigo-600 text-white rounded-lg py-2 text-sm hover:bg-indigo-700 disabled:bg-indigo-300">Check in</button>
+      </form>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div>
+        <h2 className="text-lg font-semibold mb-2">In House</h2>
+        {occupied.length === 0 && <p className="text-gray-600 text-sm bg-gray-50 border border-dashed rounded-lg p-4">No rooms are occupied.</p>}
+        <div className="space-y-2">
+          {occupied.map((r) => (
+            <div key={r.id} className="p-3 rounded-lg border border-gray-200 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">Room {r.id}</p>
+                <p className="text-xs text-gray-600 truncate">{r.guestName} · {r.guestLanguage?.label}</p>
               </div>
-              <div className="flex items-center gap-2">
-                <span className={`text-xs px-2 py-1 rounded-full ${r.status === 'occupied' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>{r.status === 'occupied' ? 'In House' : 'Checked Out'}</span>
-                <button onClick={() => toggleFollow(r.id)} className={`text-xs px-2 py-1 rounded border ${followed.has(r.id) ? 'bg-indigo-50 border-indigo-300 text-indigo-700' : 'bg-white border-gray-300 text-gray-700'}`}>{followed.has(r.id) ? 'Unfollow' : 'Follow'}</button>
-                <button onClick={() => setSelected(r)} className="text-xs px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700">Open</button>
+              <div className="flex items-center gap-1 shrink-0">
+                <select className={field} value={moveTo[r.id] || ""} onChange={(e) => setMoveTo((m) => ({ ...m, [r.id]: e.target.value }))}>
+                  <option value="">Move to…</option>
+                  {free.map((n) => (<option key={n} value={n}>{n}</option>))}
+                </select>
+                <button onClick={() => move(r.id)} disabled={busy || !moveTo[r.id]} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50">Move</button>
+                <button onClick={() => checkOut(r)} disabled={busy} className="text-xs px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700 disabled:opacity-50">Check out</button>
               </div>
             </div>
           ))}
         </div>
       </div>
+
+      <div>
+        <h2 className="text-lg font-semibold mb-2">Recent Activity</h2>
+        <ul className="space-y-1 text-xs text-gray-700">
+          {log.map((e) => (
+            <li key={e.id}>
+              <span className="text-gray-500">{formatStamp(e.at)}</span> · {AUDIT_ACTIONS[e.action] || e.action} {e.guestName} · room {e.roomId}
+              {e.toRoomId ? ` → ${e.toRoomId}` : ""} · by {e.actorName || "unknown"} ({e.actorRole})
+            </li>
+          ))}
+        </ul>
+      </div>
     </div>
   );
-}
+}
+
+// Past and current stays, newest first; opening one shows its archived conversation
+function StayHistory({ db, appId, staff }) {
+  const [stays, setStays] = useState([]);
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    const q = query(collection(db, `artifacts/${appId}/public/data/stays`), orderBy("checkedInAt", "desc"), limit(200));
+    const unsub = onSnapshot(q, (snap) => setStays(snap.docs.map((d) => ({ id: d.id, ...d.data() }))));
+    return () => unsub();
+  }, [db, appId]);
+
+  if (selected) return <StayTranscript db={db} appId={appId} stayId={selected} viewer={staff} onBack={() => setSelected(null)} />;
+
+  const needle = search.trim().toLowerCase();
+  const listed = stays.filter((s) => !needle || s.roomId?.toLowerCase().includes(needle) || s.guestName?.toLowerCase().includes(needle));
+  return (
+    <div className="p-4 flex-1 overflow-y-auto">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold">Stay History</h2>
+        <input className="border border-gray-300 rounded-lg px-2 py-1 text-sm" placeholder="Room or guest" value={search} onChange={(e) => setSearch(e.target.value)} />
+      </div>
+      {listed.length === 0 && <p className="text-gray-600 text-sm bg-gray-50 border border-dashed rounded-lg p-4">No stays found.</p>}
+      <div className="space-y-2">
+        {listed.map((s) => (
+          <button key={s.id} onClick={() => setSelected(s.id)} className="w-full text-left p-3 rounded-lg border border-gray-200 hover:bg-gray-50 flex items-center justify-between gap-2">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800">Room {s.roomId} · {s.guestName}</p>
+              <p className="text-xs text-gray-600">{formatStamp(s.checkedInAt)} – {s.status === "closed" ? formatStamp(s.checkedOutAt) : "now"}</p>
+            </div>
+            <div className="flex items-center gap-2 shrink-0 text-xs">
+              {s.status === "closed" && <span className="text-gray-500">{s.messageCount || 0} messages</span>}
+              <span className={`px-2 py-1 rounded-full ${s.status === "closed" ? "bg-gray-100 text-gray-600" : "bg-green-100 text-green-700"}`}>{s.status === "closed" ? "Checked Out" : "In House"}</span>
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const SENDER_ROLE_LABELS = { guest: "Guest", staff: "Staff", note: "Internal note", system: "System" };
+
+// Search over a date range of live and archived chats, matching the original text or any stored translation.
+// Like analytics it reads every message in the range (of the chosen room and sender, if any), so keep ranges
+// modest. Live hits open the room's chat at that message; archived ones open the stay's transcript.
+function MessageSearch({ db, appId, staff, rooms, onOpenMessage }) {
+  const hotel = useHotel();
+  const [range, setRange] = useState(() => ({ from: localDay(Date.now() - 6 * 86400000), to: localDay(Date.now()) }));
+  const [filters, setFilters] = useState({ text: "", roomId: "", guestName: "", role: "" });
+  const [messages, setMessages] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [openStay, setOpenStay] = useState(null); // { stayId, messageId } for an archived hit
+
+  // Any filter makes it a search; with none there is nothing to load
+  const searching = !!(filters.text.trim() || filters.guestName.trim() || filters.roomId || filters.role);
+
+  useEffect(() => {
+    if (!searching || !range.from || !range.to || range.from > range.to) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    setMessages(null);
+    loadMessagesInRange(db, appId, range, { roomId: filters.roomId, role: filters.role })
+      .then((list) => {
+        if (!cancelled) setMessages(list);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError("Could not load messages.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [db, appId, range.from, range.to, filters.roomId, filters.role, searching]);
+
+  const readerLang = (staff.language || hotel.staffLanguage).code;
+  const hits = useMemo(
+    () => (messages && searching ? searchMessages(messages, rooms, filters, readerLang) : []),
+    [messages, rooms, filters, readerLang, searching]
+  );
+
+  if (openStay) {
+    return <StayTranscript db={db} appId={appId} stayId={openStay.stayId} viewer={staff} focusMessageId={openStay.messageId} onBack={() => setOpenStay(null)} />;
+  }
+
+  const set = (patch) => setFilters((f) => ({ ...f, ...patch }));
+  const open = (m) => (m.source === "archived" ? setOpenStay({ stayId: m.stayId, messageId: m.id }) : onOpenMessage(m.roomId, m.id));
+  const field = "border border-gray-300 rounded px-2 py-1 text-sm bg-white";
+  return (
+    <div className="p-4 flex-1 overflow-y-auto space-y-3">
+      <h2 className="text-lg font-semibold">Search Messages</h2>
+      <input className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm" placeholder="Words to find, in any language we translate into" value={filters.text} onChange={(e) => set({ text: e.target.value })} autoFocus />
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={field} value={filters.roomId} onChange={(e) => set({ roomId: e.target.value })}>
+          <option value="">Any room</option>
+          {rooms.map((r) => (<option key={r.id} value={r.id}>Room {r.id}</option>))}
+        </select>
+        <input className={field} placeholder="Guest name" value={filters.guestName} onChange={(e) => set({ guestName: e.target.value })} />
+        <select className={field} value={filters.role} onChange={(e) => set({ role: e.target.value })}>
+          <option value="">Anyone</option>
+          {Object.entries(SENDER_ROLE_LABELS).map(([k, label]) => (<option key={k} value={k}>{label}</option>))}
+        </select>
+        <input type="date" className={field} value={range.from} max={range.to} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} />
+        <span className="text-gray-500 text-sm">to</span>
+        <input type="date" className={field} value={range.to} min={range.from} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} />
+        {loading && <span className="text-xs text-gray-500">Loading…</span>}
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {searching && messages && !loading && (
+        <p className="text-xs text-gray-500">{hits.length === MAX_RESULTS ? `First ${MAX_RESULTS} matches; narrow the search to see the rest.` : `${hits.length} ${hits.length === 1 ? "match" : "matches"}.`}</p>
+      )}
+      <div className="space-y-2">
+        {hits.map(({ message: m, guestName, code, original, snippet }) => (
+          <button key={`${m.source}:${m.id}`} onClick={() => open(m)} className={`w-full text-left p-3 rounded-lg border hover:bg-gray-50 ${m.senderRole === "note" ? "border-amber-300 bg-amber-50" : "border-gray-200"}`}>
+            <p className="text-xs text-gray-600">
+              Room {m.roomId}{guestName ? ` · ${guestName}` : ""} · {formatStamp(m.timestamp)} · {m.senderName || SENDER_ROLE_LABELS[m.senderRole]} ({SENDER_ROLE_LABELS[m.senderRole] || m.senderRole})
+              {m.source === "archived" && <span className="ml-1 text-gray-400">· archived</span>}
+            </p>
+            <p className="text-sm text-gray-800 break-words">
+              {snippet.before}<mark className="bg-yellow-200 rounded-sm">{snippet.match}</mark>{snippet.after}
+            </p>
+            {!original && <p className="text-[10px] text-gray-500">Matched the {languageLabel(code)} translation</p>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Read-only conversation of a stay from the archive, with PDF/JSON export.
+// A stay that's still open has nothing archived yet; its room chat has the export buttons instead.
+function StayTranscript({ db, appId, stayId, viewer, asGuest, focusMessageId, onBack }) {
+  const hotel = useHotel();
+  const { t } = useLocale();
+  const [stay, setStay] = useState(null);
+  const [messages, setMessages] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const archive = collection(db, `artifacts/${appId}/public/data/archived_messages`);
+    // Guests may only list archive entries that name them, so the query has to say so
+    const q = asGuest
+      ? query(archive, where("stayId", "==", stayId), where("guestIds", "array-contains", viewer.id))
+      : query(archive, where("stayId", "==", stayId));
+    (async () => {
+      try {
+        const [staySnap, snap] = await Promise.all([getDoc(doc(db, `artifacts/${appId}/public/data/stays/${stayId}`)), getDocs(q)]);
+        const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+        rows.sort((a, b) => (a.timestamp?.toMillis?.() || 0) - (b.timestamp?.toMillis?.() || 0));
+        setStay({ id: staySnap.id, ...staySnap.data() });
+        setMessages(rows);
+      } catch (err) {
+        console.error(err);
+        setError("transcript.loadFailed");
+      }
+    })();
+  }, [db, appId, stayId, viewer.id, asGuest]);
+
+  // Opened from a search result: bring that message into view
+  useEffect(() => {
+    if (focusMessageId && messages) document.getElementById(`message-${focusMessageId}`)?.scrollIntoView({ block: "center" });
+  }, [messages, focusMessageId]);
+
+  return (
+    <div className="flex-1 flex flex-col">
+      <div className="p-3 border-b border-gray-200 flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <p className="font-semibold text-gray-800">{t("transcript.title", { room: stay?.roomId || "", name: stay?.guestName || "" })}</p>
+          {stay && <p className="text-xs text-gray-500">{formatStamp(stay.checkedInAt)} – {stay.status === "closed" ? formatStamp(stay.checkedOutAt) : t("transcript.inHouse")}</p>}
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          {stay && messages && <TranscriptExport build={() => buildTranscript(stay, messages)} />}
+          <button onClick={onBack} className="text-sm bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700">{t("common.back")}</button>
+        </div>
+      </div>
+      <div className="flex-1 p-4 overflow-y-auto space-y-3 bg-gray-50">
+        {error && <p className="text-sm text-red-600">{t(error)}</p>}
+        {!messages && !error && <Loader />}
+        {messages?.length === 0 && <p className="text-sm text-gray-500 text-center">{t("transcript.empty")}</p>}
+        {messages?.map((m) => (<Bubble key={m.id} mine={m.senderId === viewer.id} message={m} readerLanguage={viewer.language || hotel.staffLanguage} highlighted={m.id === focusMessageId} />))}
+      </div>
+    </div>
+  );
+}
+
+// PDF/JSON buttons; `build` returns the transcript at click time so the print popup isn't blocked
+function TranscriptExport({ build }) {
+  const { t } = useLocale();
+  const exportPdf = () => {
+    try {
+      printTranscript(build());
+    } catch (err) {
+      console.error(err);
+      window.alert(t("transcript.popupBlocked"));
+    }
+  };
+  const button = "text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50";
+  return (
+    <div className="flex items-center gap-1" title={t("chat.export")}>
+      <button type="button" onClick={exportPdf} className={button}>PDF</button>
+      <button type="button" onClick={() => downloadTranscriptJson(build())} className={button}>JSON</button>
+    </div>
+  );
+}
+
+// Staff queue of guest service requests: assign, progress and close them.
+// Every status change also posts a translated notice into the room's chat.
+function ServiceRequestQueue({ db, appId, staff, onOpenRoom }) {
+  const [requests, setRequests] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [filter, setFilter] = useState("active"); // 'active' | 'mine' | 'done'
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!db) return;
+    const unsubRequests = onSnapshot(query(collection(db, `artifacts/${appId}/public/data/requests`), orderBy("createdAt", "desc")), (snap) =>
+      setRequests(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+    );
+    const unsubStaff = onSnapshot(collection(db, `artifacts/${appId}/staff`), (snap) =>
+      setMembers(snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((m) => isStaffRole(m.role)))
+    );
+    return () => { unsubRequests(); unsubStaff(); };
+  }, [db, appId]);
+
+  const priorityRank = { urgent: 0, normal: 1, low: 2 };
+  const listed = requests
+    .filter((r) => (filter === "done" ? r.status === "done" : r.status !== "done" && (filter !== "mine" || r.assigneeId === staff.id)))
+    .sort((a, b) => (filter === "done" ? 0 : priorityRank[a.priority] - priorityRank[b.priority] || (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0)));
+
+  const update = async (r, patch, notice) => {
+    setError("");
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/public/data/requests/${r.id}`), { ...patch, updatedAt: serverTimestamp(), updatedBy: staff.id });
+      await postSystemMessage(db, appId, r.roomId, staff.id, notice, { requestId: r.id });
+    } catch (err) {
+      console.error(err);
+      setError("Could not update the request.");
+    }
+  };
+
+  const label = (r) => REQUEST_CATEGORIES[r.category] || r.category;
+  const assign = (r, memberId) => {
+    const m = members.find((x) => x.id === memberId);
+    if (!m) return;
+    update(r, { status: r.status === "open" ? "assigned" : r.status, assigneeId: m.id, assigneeName: m.name }, `${label(r)} request assigned to ${m.name}.`);
+  };
+  const setStatus = (r, status) => update(r, { status }, `${label(r)} request: ${REQUEST_STATUSES[status]}.`);
+
+  const priorityStyle = { urgent: "bg-red-100 text-red-700", normal: "bg-blue-100 text-blue-700", low: "bg-gray-100 text-gray-600" };
+  return (
+    <div className="p-4 flex-1 overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold">Service Requests</h2>
+        <select className="text-xs border border-gray-300 rounded px-2 py-1 bg-white" value={filter} onChange={(e) => setFilter(e.target.value)}>
+          <option value="active">Open</option>
+          <option value="mine">Assigned to me</option>
+          <option value="done">Done</option>
+        </select>
+      </div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {listed.length === 0 && <p className="text-gray-600 text-sm bg-gray-50 border border-dashed rounded-lg p-4">Nothing here.</p>}
+      <div className="space-y-2">
+        {listed.map((r) => {
+          const translated = r.translations?.[staff.language?.code];
+          const description = translated && !isUnavailable(translated) ? translated : r.description;
+          return (
+            <div key={r.id} className="p-3 rounded-lg border border-gray-200 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <p className="font-medium text-gray-800">
+                  {label(r)} <span className={`ml-1 text-[10px] px-1.5 py-0.5 rounded-full ${priorityStyle[r.priority] || priorityStyle.normal}`}>{REQUEST_PRIORITIES[r.priority]}</span>
+                </p>
+                <span className="text-xs text-gray-600">{REQUEST_STATUSES[r.status]}</span>
+              </div>
+              <p className="text-xs text-gray-600">
+                <button onClick={() => onOpenRoom(r.roomId)} className="underline">Room {r.roomId}</button> • {r.guestName}
+                {r.createdAt?.toDate && ` • ${r.createdAt.toDate().toLocaleString([], { dateStyle: "short", timeStyle: "short" })}`}
+              </p>
+              {description && <p className="text-sm text-gray-800 whitespace-pre-wrap">{description}</p>}
+              {r.photoUrl && (
+                <a href={r.photoUrl} target="_blank" rel="noreferrer"><img src={r.photoUrl} alt="Attached photo" className="h-24 rounded border object-cover" /></a>
+              )}
+              {r.status !== "done" && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <select className="text-xs border border-gray-300 rounded px-2 py-1 bg-white" value={r.assigneeId || ""} onChange={(e) => assign(r, e.target.value)}>
+                    <option value="" disabled>Assign to…</option>
+                    {members.map((m) => (<option key={m.id} value={m.id}>{m.id === staff.id ? `${m.name} (me)` : m.name}</option>))}
+                  </select>
+                  {r.status !== "in_progress" && (
+                    <button onClick={() => setStatus(r, "in_progress")} className="text-xs px-2 py-1 rounded bg-amber-500 text-white hover:bg-amber-600">Start</button>
+                  )}
+                  <button onClick={() => setStatus(r, "done")} className="text-xs px-2 py-1 rounded bg-green-600 text-white hover:bg-green-700">Done</button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const blankTemplate = () => ({ id: null, title: "", text: "", translations: {}, reviewed: {} });
+
+// Supervisor screen for the quick-reply library. Each template is written in the hotel language and
+// carries a translation per guest language; only translations a person has approved are sent as-is.
+function TemplateManager({ db, appId, staff }) {
+  const hotel = useHotel();
+  const source = hotel.staffLanguage;
+  const [templates, setTemplates] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [drafting, setDrafting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const unsub = onSnapshot(query(collection(db, `artifacts/${appId}/templates`), orderBy("title")), (snap) =>
+      setTemplates(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+    );
+    return () => unsub();
+  }, [db, appId]);
+
+  const languages = Object.values(LANGUAGES).filter((l) => l.code !== source.code);
+
+  // Changing the source text invalidates every approval; changing one translation invalidates just that one
+  const setSource = (text) => setEditing((t) => ({ ...t, text, reviewed: {} }));
+  const setTranslation = (code, text) =>
+    setEditing((t) => {
+      const reviewed = { ...t.reviewed };
+      delete reviewed[code];
+      return { ...t, translations: { ...t.translations, [code]: text }, reviewed };
+    });
+  const setApproved = (code, approved) =>
+    setEditing((t) => {
+      const reviewed = { ...t.reviewed };
+      if (approved) reviewed[code] = { by: staff.id, byName: staff.name, at: Date.now() };
+      else delete reviewed[code];
+      return { ...t, reviewed };
+    });
+
+  // Machine drafts for empty languages, for a person to check and approve
+  const draftMissing = async () => {
+    const missing = languages.filter((l) => !editing.translations[l.code]?.trim());
+    if (!missing.length || !editing.text.trim()) return;
+    setDrafting(true);
+    setError("");
+    try {
+      const results = await requestTranslations(appId, editing.text, source.code, missing.map((l) => l.code));
+      setEditing((t) => {
+        const translations = { ...t.translations };
+        for (const l of missing) if (results[l.code]?.translated) translations[l.code] = results[l.code].translated;
+        return { ...t, translations };
+      });
+    } catch (err) {
+      console.error(err);
+      setError("Could not draft translations.");
+    } finally {
+      setDrafting(false);
+    }
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!editing.title.trim() || !editing.text.trim()) return;
+    setError("");
+    const fields = {
+      title: editing.title.trim(),
+      text: editing.text.trim(),
+      language: source,
+      translations: editing.translations,
+      reviewed: editing.reviewed,
+      updatedBy: staff.id,
+      updatedAt: serverTimestamp(),
+    };
+    try {
+      // updateDoc replaces the translation and approval maps whole; a merge would keep cleared approvals
+      // and removed translations, and those would still be sent to guests as approved
+      if (editing.id) await updateDoc(doc(db, `artifacts/${appId}/templates/${editing.id}`), fields);
+      else await addDoc(collection(db, `artifacts/${appId}/templates`), { ...fields, createdBy: staff.id, createdAt: serverTimestamp() });
+      setEditing(null);
+    } catch (err) {
+      console.error(err);
+      setError("Could not save the template.");
+    }
+  };
+
+  const remove = async (id) => {
+    if (!window.confirm("Delete this quick reply?")) return;
+    await deleteDoc(doc(db, `artifacts/${appId}/templates/${id}`));
+  };
+
+  const field = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+  if (editing) {
+    return (
+      <form onSubmit={save} className="p-4 flex-1 overflow-y-auto space-y-3">
+        <h2 className="text-lg font-semibold">{editing.id ? "Edit Quick Reply" : "New Quick Reply"}</h2>
+        <input className={field} placeholder="Title (e.g. Breakfast hours)" value={editing.title} onChange={(e) => setEditing((t) => ({ ...t, title: e.target.value }))} />
+        <textarea className={field} rows={3} placeholder={`Text in ${source.label}`} value={editing.text} onChange={(e) => setSource(e.target.value)} />
+        <p className="text-xs text-gray-500">Variables: {TEMPLATE_VARIABLES.map((v) => `{${v}}`).join(", ")}. Keep them unchanged in translations.</p>
+        <button type="button" onClick={draftMissing} disabled={drafting} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50">
+          {drafting ? "Drafting…" : "Machine-draft empty translations"}
+        </button>
+        {languages.map((l) => (
+          <div key={l.code} className="space-y-1">
+            <div className="flex items-center justify-between text-xs">
+              <span className="font-medium text-gray-700">{l.label}</span>
+              <label className="flex items-center gap-1 text-gray-600">
+                <input type="checkbox" checked={!!editing.reviewed[l.code]} disabled={!editing.translations[l.code]?.trim()} onChange={(e) => setApproved(l.code, e.target.checked)} />
+                Approved{editing.reviewed[l.code]?.byName ? ` by ${editing.reviewed[l.code].byName}` : ""}
+              </label>
+            </div>
+            <textarea className={field} rows={2} value={editing.translations[l.code] || ""} onChange={(e) => setTranslation(l.code, e.target.value)} />
+          </div>
+        ))}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={() => setEditing(null)} className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Cancel</button>
+          <button type="submit" className="text-sm px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Save</button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="p-4 flex-1 overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold">Quick Replies</h2>
+        <button onClick={() => setEditing(blankTemplate())} className="text-xs px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700">New</button>
+      </div>
+      {templates.length === 0 && <p className="text-gray-600 text-sm bg-gray-50 border border-dashed rounded-lg p-4">No quick replies yet.</p>}
+      <div className="space-y-2">
+        {templates.map((t) => {
+          const approved = languages.filter((l) => t.reviewed?.[l.code]).length;
+          return (
+            <div key={t.id} className="p-3 rounded-lg border border-gray-200 flex items-start justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">{t.title}</p>
+                <p className="text-xs text-gray-600 truncate">{t.text}</p>
+                <p className={`text-[10px] mt-1 ${approved === languages.length ? "text-green-700" : "text-amber-700"}`}>{approved}/{languages.length} translations approved</p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button onClick={() => setEditing({ ...blankTemplate(), ...t })} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50">Edit</button>
+                <button onClick={() => remove(t.id)} className="text-xs text-red-600 hover:underline">Delete</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const blankGlossaryEntry = () => ({ id: null, term: "", doNotTranslate: true, translations: {} });
+
+// The hotel's glossary, applied by /api/translate for every provider: do-not-translate terms (outlet
+// names, Wi-Fi passwords) and terms with fixed translations. Staff corrections in the chat suggest entries.
+function GlossaryManager({ db, appId, staff }) {
+  const [entries, setEntries] = useState([]);
+  const [corrections, setCorrections] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const unsubEntries = onSnapshot(query(collection(db, `artifacts/${appId}/glossary`), orderBy("term")), (snap) =>
+      setEntries(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+    );
+    const unsubCorrections = onSnapshot(
+      query(collection(db, `artifacts/${appId}/translation_corrections`), orderBy("createdAt", "desc"), limit(50)),
+      (snap) => setCorrections(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+      (err) => console.error(err)
+    );
+    return () => {
+      unsubEntries();
+      unsubCorrections();
+    };
+  }, [db, appId]);
+
+  const suggestions = useMemo(() => {
+    const known = new Set(entries.map((e) => e.term.toLowerCase()));
+    const counts = new Map();
+    for (const c of corrections) {
+      for (const phrase of keptPhrases(c)) {
+        if (!known.has(phrase.toLowerCase())) counts.set(phrase, (counts.get(phrase) || 0) + 1);
+      }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
+  }, [entries, corrections]);
+
+  const saveEntry = async (entry) => {
+    const fields = {
+      term: entry.term.trim(),
+      doNotTranslate: entry.doNotTranslate,
+      // Do-not-translate terms come back exactly as written, so stale translations would only confuse
+      translations: entry.doNotTranslate ? {} : Object.fromEntries(Object.entries(entry.translations).filter(([, v]) => v.trim())),
+      updatedBy: staff.id,
+      updatedAt: serverTimestamp(),
+    };
+    // updateDoc replaces the translations map, so a translation cleared in the form is really gone
+    if (entry.id) await updateDoc(doc(db, `artifacts/${appId}/glossary/${entry.id}`), fields);
+    else await addDoc(collection(db, `artifacts/${appId}/glossary`), { ...fields, createdBy: staff.id, createdAt: serverTimestamp() });
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!editing.term.trim()) return;
+    setError("");
+    try {
+      await saveEntry(editing);
+      setEditing(null);
+    } catch (err) {
+      console.error(err);
+      setError("Could not save the glossary entry.");
+    }
+  };
+
+  const addSuggestion = async (phrase) => {
+    setError("");
+    try {
+      await saveEntry({ ...blankGlossaryEntry(), term: phrase });
+    } catch (err) {
+      console.error(err);
+      setError("Could not save the glossary entry.");
+    }
+  };
+
+  const remove = async (id) => {
+    if (!window.confirm("Delete this glossary entry?")) return;
+    await deleteDoc(doc(db, `artifacts/${appId}/glossary/${id}`));
+  };
+
+  const field = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+  if (editing) {
+    return (
+      <form onSubmit={save} className="p-4 flex-1 overflow-y-auto space-y-3">
+        <h2 className="text-lg font-semibold">{editing.id ? "Edit Glossary Entry" : "New Glossary Entry"}</h2>
+        <input className={field} placeholder="Term (e.g. Club Lounge)" value={editing.term} onChange={(e) => setEditing((g) => ({ ...g, term: e.target.value }))} />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={editing.doNotTranslate} onChange={(e) => setEditing((g) => ({ ...g, doNotTranslate: e.target.checked }))} />
+          Never translate (names, passwords, codes)
+        </label>
+        {!editing.doNotTranslate && (
+          <>
+            <p className="text-xs text-gray-500">Fixed translations. Languages left empty keep the term as written.</p>
+            {Object.values(LANGUAGES).map((l) => (
+              <div key={l.code} className="flex items-center gap-2">
+                <span className="w-32 shrink-0 text-xs text-gray-700">{l.label}</span>
+                <input className={field} value={editing.translations[l.code] || ""} onChange={(e) => setEditing((g) => ({ ...g, translations: { ...g.translations, [l.code]: e.target.value } }))} />
+              </div>
+            ))}
+          </>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={() => setEditing(null)} className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Cancel</button>
+          <button type="submit" className="text-sm px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Save</button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="p-4 flex-1 overflow-y-auto space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Glossary</h2>
+        <button onClick={() => setEditing(blankGlossaryEntry())} className="text-xs px-3 py-1 rounded bg-indigo-600 text-white hover:bg-indigo-700">New</button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {entries.length === 0 && <p className="text-gray-600 text-sm bg-gray-50 border border-dashed rounded-lg p-4">No glossary entries yet.</p>}
+      <div className="space-y-2">
+        {entries.map((g) => (
+          <div key={g.id} className="p-3 rounded-lg border border-gray-200 flex items-start justify-between gap-2">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800">{g.term}</p>
+              <p className="text-xs text-gray-600 truncate">
+                {g.doNotTranslate ? "Never translated" : Object.entries(g.translations || {}).map(([code, text]) => `${languageLabel(code)}: ${text}`).join(" · ") || "Kept as written"}
+              </p>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              <button onClick={() => setEditing({ ...blankGlossaryEntry(), ...g })} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50">Edit</button>
+              <button onClick={() => remove(g.id)} className="text-xs text-red-600 hover:underline">Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {suggestions.length > 0 && (
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">Suggested from corrections</h3>
+          <p className="text-xs text-gray-500 mb-2">Staff put these back untranslated when correcting messages.</p>
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map(([phrase, count]) => (
+              <button key={phrase} onClick={() => addSuggestion(phrase)} className="text-xs px-2 py-1 rounded-full border border-indigo-300 text-indigo-700 hover:bg-indigo-50" title="Add as a do-not-translate term">
+                + {phrase} <span className="text-gray-500">×{count}</span>
+              </button>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {corrections.length > 0 && (
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">Recent corrections</h3>
+          <div className="space-y-2">
+            {corrections.slice(0, 10).map((c) => (
+              <div key={c.id} className="p-2 rounded-lg bg-gray-50 text-xs space-y-0.5">
+                <p className="text-gray-500">{c.byName || "Staff"} · Room {c.roomId} · {languageLabel(c.targetLang)} · {formatStamp(c.createdAt)}</p>
+                <p className="text-gray-800">{c.sourceText}</p>
+                {c.machine && <p className="text-red-700 line-through">{c.machine}</p>}
+                <p className="text-green-700">{c.corrected}</p>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+const localDay = (ms) => new Date(ms).toLocaleDateString("en-CA"); // YYYY-MM-DD in local time
+const formatDuration = (ms) => (ms == null ? "—" : ms < 60000 ? `${Math.round(ms / 1000)}s` : formatWait(ms));
+
+// Supervisor view of response times, message volume, guest languages and translation health.
+// Reads every message in the range from both the live and archived collections, so keep ranges modest.
+function Analytics({ db, appId, rooms }) {
+  const [range, setRange] = useState(() => ({ from: localDay(Date.now() - 6 * 86400000), to: localDay(Date.now()) }));
+  const [messages, setMessages] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    loadMessagesInRange(db, appId, range)
+      .then((list) => {
+        if (!cancelled) setMessages(list);
+      })
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setError("Could not load analytics.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [db, appId, range.from, range.to]);
+
+  const report = useMemo(() => (messages ? computeAnalytics(messages, rooms) : null), [messages, rooms]);
+  const busiestHour = report ? Math.max(1, ...report.byHour.map((h) => h.guest + h.staff)) : 1;
+  const cell = "px-2 py-1 text-left";
+
+  return (
+    <div className="p-4 flex-1 overflow-y-auto space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Analytics</h2>
+        <button onClick={() => downloadAnalyticsCsv(report, range)} disabled={!report} className="text-xs px-2 py-1 rounded border border-gray-300 hover:bg-gray-50 disabled:opacity-50">Export CSV</button>
+      </div>
+      <div className="flex items-center gap-2 text-sm">
+        <input type="date" className="border border-gray-300 rounded px-2 py-1" value={range.from} max={range.to} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} />
+        <span className="text-gray-500">to</span>
+        <input type="date" className="border border-gray-300 rounded px-2 py-1" value={range.to} min={range.from} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} />
+        {loading && <span className="text-xs text-gray-500">Loading…</span>}
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {report && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <div className="p-3 rounded-lg border border-gray-200"><p className="text-xs text-gray-500">Messages</p><p className="font-semibold">{report.totals.messages} <span className="text-xs font-normal text-gray-500">({report.totals.guestMessages} guest · {report.totals.staffMessages} staff)</span></p></div>
+            <div className="p-3 rounded-lg border border-gray-200"><p className="text-xs text-gray-500">Conversations</p><p className="font-semibold">{report.totals.conversations}</p></div>
+            <div className="p-3 rounded-lg border border-gray-200"><p className="text-xs text-gray-500">Avg first response</p><p className="font-semibold">{formatDuration(report.overall.avgFirstResponseMs)}</p></div>
+            <div className="p-3 rounded-lg border border-gray-200"><p className="text-xs text-gray-500">Avg response</p><p className="font-semibold">{formatDuration(report.overall.avgResponseMs)}</p></div>
+          </div>
+
+          <section>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Response times by staff member</h3>
+            {report.staff.length === 0 ? <p className="text-xs text-gray-500">No staff replies in this range.</p> : (
+              <table className="w-full text-xs">
+                <thead className="text-gray-500"><tr><th className={cell}>Staff</th><th className={cell}>Replies</th><th className={cell}>Avg response</th><th className={cell}>First responses</th><th className={cell}>Avg first response</th></tr></thead>
+                <tbody>
+                  {report.staff.map((s) => (
+                    <tr key={s.id} className="border-t"><td className={cell}>{s.name}</td><td className={cell}>{s.replies}</td><td className={cell}>{formatDuration(s.avgResponseMs)}</td><td className={cell}>{s.firstResponses}</td><td className={cell}>{formatDuration(s.avgFirstResponseMs)}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <section>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Messages by hour</h3>
+            <div className="flex items-end gap-px h-24">
+              {report.byHour.map((h) => (
+                <div key={h.hour} className="flex-1 flex flex-col justify-end h-full" title={`${h.hour}:00 — ${h.guest} guest, ${h.staff} staff`}>
+                  <div className="bg-indigo-400" style={{ height: `${(h.staff / busiestHour) * 100}%` }} />
+                  <div className="bg-green-400" style={{ height: `${(h.guest / busiestHour) * 100}%` }} />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between text-[10px] text-gray-500"><span>0:00</span><span>12:00</span><span>23:00</span></div>
+            <p className="text-[10px] text-gray-500"><span className="inline-block w-2 h-2 bg-green-400 mr-1" />Guest <span className="inline-block w-2 h-2 bg-indigo-400 ml-2 mr-1" />Staff</p>
+          </section>
+
+          <section>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Guest languages</h3>
+            {report.languages.length === 0 ? <p className="text-xs text-gray-500">No guest messages in this range.</p> : (
+              <ul className="text-xs space-y-1">
+                {report.languages.map((l) => (
+                  <li key={l.code} className="flex justify-between"><span>{l.label} <span className="text-gray-500">({l.code})</span></span><span>{l.guests} guests · {l.messages} messages</span></li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Translation</h3>
+            <p className="text-xs text-gray-700">
+              {report.translation.failed} of {report.translation.messages} translated messages had a failed translation
+              ({(report.translation.failureRate * 100).toFixed(1)}%).
+              {report.translation.untranslated > 0 && ` ${report.translation.untranslated} went out untranslated because no provider was configured.`}
+            </p>
+          </section>
+
+          <section>
+            <h3 className="text-sm font-semibold text-gray-700 mb-1">Busiest rooms</h3>
+            {report.rooms.length === 0 ? <p className="text-xs text-gray-500">No messages in this range.</p> : (
+              <table className="w-full text-xs">
+                <thead className="text-gray-500"><tr><th className={cell}>Room</th><th className={cell}>Type</th><th className={cell}>Messages</th><th className={cell}>From guests</th></tr></thead>
+                <tbody>
+                  {report.rooms.map((r) => (
+                    <tr key={r.roomId} className="border-t"><td className={cell}>{r.roomId}</td><td className={cell}>{r.type || "—"}</td><td className={cell}>{r.messages}</td><td className={cell}>{r.guestMessages}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Issues a signed check-in QR for a room. The room keeps its nonce until checkout,
+// so reprinting during a stay yields a code that still works.
+function RoomQrGenerator({ db, appId, rooms }) {
+  const inService = rooms.filter((r) => !r.outOfOrder).sort(byRoomNumber);
+  const [roomId, setRoomId] = useState("");
+  const [checkoutDate, setCheckoutDate] = useState(tomorrow);
+  const [qr, setQr] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const generate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    setQr(null);
+    try {
+      const roomRef = doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`);
+      const snap = await getDoc(roomRef);
+      const expiresAt = checkinExpiry(checkoutDate);
+      const nonce = checkinNonceFor(snap.data(), expiresAt);
+      await setDoc(
+        roomRef,
+        {
+          checkinNonce: nonce,
+          checkinExpiresAt: expiresAt,
+          ...(snap.exists() ? {} : { status: "vacant", createdAt: serverTimestamp(), updatedAt: serverTimestamp() }),
+        },
+        { merge: true }
+      );
+      const res = await authedFetch("/api/checkin-token", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ appId, roomId, nonce, expiresAt }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Token request failed");
+      const url = checkinUrl(data.token);
+      setQr({ roomId, url, image: await QRCode.toDataURL(url, { width: 320, margin: 1 }) });
+    } catch (err) {
+      console.error(err);
+      setError(`Could not generate QR code: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const print = () => {
+    const w = window.open("", "_blank");
+    if (!w) return;
+    const room = escapeHtml(qr.roomId);
+    w.document.write(`<html><head><title>Room ${room}</title></head><body style="font-family:sans-serif;text-align:center;padding:40px">
+      <h1>Room ${room}</h1><img src="${qr.image}" width="320" height="320" alt="Check-in QR code" />
+      <p>Scan to chat with the front desk in your language.</p></body></html>`);
+    w.document.close();
+    w.onload = () => w.print();
+  };
+
+  return (
+    <div className="p-4 flex-1 overflow-y-auto">
+      <h2 className="text-lg font-semibold mb-3">Room Check-in QR</h2>
+      <form onSubmit={generate} className="space-y-3">
+        <select className="w-full border border-gray-300 rounded-lg px-4 py-2 bg-white focus:ring-2 focus:ring-blue-600" value={roomId} onChange={(e) => setRoomId(e.target.value)} required>
+          <option value="">Room…</option>
+          {inService.map((r) => (<option key={r.id} value={r.id}>Room {r.id}{r.status === "occupied" ? " (in house)" : ""}</option>))}
+        </select>
+        <label className="block text-xs text-gray-600">
+          Checkout date
+          <input type="date" className="w-full border border-gray-300 rounded-lg px-4 py-2 mt-1 focus:ring-2 focus:ring-blue-600" value={checkoutDate} onChange={(e) => setCheckoutDate(e.target.value)} required />
+        </label>
+        <button type="submit" disabled={busy} className="w-full bg-indigo-600 text-white rounded-lg py-2 hover:bg-indigo-700 disabled:bg-indigo-300">{busy ? "Generating…" : "Generate QR"}</button>
+      </form>
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      {qr && (
+        <div className="mt-4 flex flex-col items-center gap-2 text-center">
+          <img src={qr.image} alt={`Check-in QR for room ${qr.roomId}`} className="w-56 h-56" />
+          <p className="text-xs text-gray-500 break-all">{qr.url}</p>
+          <button onClick={print} className="text-sm px-3 py-1 rounded bg-gray-600 text-white hover:bg-gray-700">Print</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Lists the hotels this account holds a staff doc in; hidden for single-property staff
+function PropertySwitcher({ db, uid, current, onSwitch }) {
+  const [properties, setProperties] = useState([]);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const hotels = (await getDocs(collection(db, "hotels"))).docs;
+        const mine = await Promise.all(
+          hotels.map(async (h) => ((await getDoc(doc(db, `artifacts/${h.id}/staff/${uid}`))).exists() ? { id: h.id, name: h.data().name || h.id } : null))
+        );
+        setProperties(mine.filter(Boolean));
+      } catch (err) {
+        console.error("Failed to load properties:", err);
+      }
+    })();
+  }, [db, uid]);
+
+  if (properties.length < 2) return null;
+  return (
+    <select className="text-xs border border-gray-300 rounded px-1 py-0.5 bg-white" value={current} onChange={(e) => onSwitch(e.target.value)} aria-label="Property">
+      {properties.map((p) => (<option key={p.id} value={p.id}>{p.name}</option>))}
+    </select>
+  );
+}
+
+// Admin-only: this hotel's name, branding, default staff language and the languages guests can pick
+function PropertySettings({ db, appId }) {
+  const hotel = useHotel();
+  const [form, setForm] = useState(() => ({
+    name: hotel.name,
+    primaryColor: hotel.primaryColor,
+    logoUrl: hotel.logoUrl,
+    staffLanguage: hotel.staffLanguage.label,
+    guestLanguages: hotel.guestLanguages.map((l) => l.code),
+    slaMinutes: String(hotel.slaMinutes),
+  }));
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState("");
+
+  const set = (patch) => {
+    setSaved(false);
+    setForm((f) => ({ ...f, ...patch }));
+  };
+  const toggleGuestLanguage = (code) =>
+    set({ guestLanguages: form.guestLanguages.includes(code) ? form.guestLanguages.filter((c) => c !== code) : [...form.guestLanguages, code] });
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.guestLanguages.length) return setError("A name and at least one guest language are required.");
+    const slaMinutes = Number(form.slaMinutes);
+    if (!Number.isInteger(slaMinutes) || slaMinutes < 1) return setError("The reply time must be a whole number of minutes.");
+    setError("");
+    const lang = LANGUAGES[form.staffLanguage] || HOTEL_LANGUAGE;
+    try {
+      await setDoc(doc(db, "hotels", appId), {
+        name: form.name.trim(),
+        primaryColor: form.primaryColor,
+        logoUrl: form.logoUrl.trim(),
+        staffLanguage: { label: lang.label, code: lang.code },
+        guestLanguages: form.guestLanguages,
+        slaMinutes,
+        updatedAt: serverTimestamp(),
+      }, { merge: true });
+      setSaved(true);
+    } catch (err) {
+      console.error(err);
+      setError("Could not save the property settings.");
+    }
+  };
+
+  const field = "w-full border border-gray-300 rounded-lg px-3 py-2 text-sm";
+  return (
+    <form onSubmit={save} className="p-4 flex-1 overflow-y-auto space-y-3">
+      <h2 className="text-lg font-semibold">Property</h2>
+      <p className="text-xs text-gray-500">Property id: {appId}</p>
+      <input className={field} placeholder="Hotel name" value={form.name} onChange={(e) => set({ name: e.target.value })} />
+      <div className="flex items-center gap-2">
+        <input type="color" value={form.primaryColor} onChange={(e) => set({ primaryColor: e.target.value })} className="h-9 w-12 border border-gray-300 rounded" aria-label="Brand colour" />
+        <input className={field} placeholder="Logo URL (optional)" value={form.logoUrl} onChange={(e) => set({ logoUrl: e.target.value })} />
+      </div>
+      <label className="block text-xs text-gray-600">
+        Default staff language
+        <select className={`${field} mt-1 bg-white`} value={form.staffLanguage} onChange={(e) => set({ staffLanguage: e.target.value })}>
+          {Object.keys(LANGUAGES).map((k) => (<option key={k} value={k}>{LANGUAGES[k].label}</option>))}
+        </select>
+      </label>
+      <fieldset className="text-sm">
+        <legend className="text-xs text-gray-600 mb-1">Languages guests can choose</legend>
+        <div className="grid grid-cols-2 gap-1">
+          {Object.values(LANGUAGES).map((l) => (
+            <label key={l.code} className="flex items-center gap-1">
+              <input type="checkbox" checked={form.guestLanguages.includes(l.code)} onChange={() => toggleGuestLanguage(l.code)} />
+              {l.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <label className="block text-xs text-gray-600">
+        Escalate to supervisors when a guest has waited this many minutes for a reply
+        <input type="number" min="1" step="1" className={`${field} mt-1`} value={form.slaMinutes} onChange={(e) => set({ slaMinutes: e.target.value })} />
+      </label>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {saved && <p className="text-sm text-green-700">Saved.</p>}
+      <button type="submit" className="w-full bg-indigo-600 text-white rounded-lg py-2 text-sm hover:bg-indigo-700">Save</button>
+    </form>
+  );
+}
+
+// Admin-only: the hotel's rooms by floor, with type and out-of-order status. Importing a CSV merges
+// into existing room docs, so occupancy and chat state are left alone.
+function RoomInventory({ db, appId, rooms }) {
+  const [form, setForm] = useState({ id: "", floor: "", type: "" });
+  const [csv, setCsv] = useState("");
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+
+  const roomsPath = `artifacts/${appId}/public/data/rooms`;
+  const floors = useMemo(() => {
+    const byFloor = new Map();
+    [...rooms].sort(byRoomNumber).forEach((r) => {
+      const key = r.floor || "—";
+      byFloor.set(key, [...(byFloor.get(key) || []), r]);
+    });
+    return Array.from(byFloor.entries()).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+  }, [rooms]);
+
+  // New rooms start vacant and in service; existing ones keep whatever `list` doesn't mention.
+  // updatedAt is set because the room lists are ordered by it.
+  const save = async (list) => {
+    const existing = new Set(rooms.map((r) => r.id));
+    for (let i = 0; i < list.length; i += 400) {
+      const batch = writeBatch(db);
+      list.slice(i, i + 400).forEach(({ id, ...fields }) =>
+        batch.set(doc(db, `${roomsPath}/${id}`), {
+          ...(existing.has(id) ? {} : { status: "vacant", outOfOrder: false, createdAt: serverTimestamp() }),
+          ...fields,
+          updatedAt: serverTimestamp(),
+        }, { merge: true })
+      );
+      await batch.commit();
+    }
+  };
+
+  const addRoom = async (e) => {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+    const id = form.id.trim();
+    if (!ROOM_ID_PATTERN.test(id)) return setError("Room numbers may only use letters, digits, - and _.");
+    try {
+      await save([{ id, floor: form.floor.trim(), type: form.type.trim() }]);
+      setForm((f) => ({ ...f, id: "" }));
+    } catch (err) {
+      console.error(err);
+      setError("Could not save the room.");
+    }
+  };
+
+  const importCsv = async () => {
+    setError("");
+    setNotice("");
+    const { rows, errors } = parseRoomsCsv(csv);
+    if (errors.length) return setError(errors.slice(0, 5).join(" "));
+    if (!rows.length) return setError("No rooms found in the CSV.");
+    try {
+      await save(rows);
+      setCsv("");
+      setNotice(`Imported ${rows.length} room${rows.length === 1 ? "" : "s"}.`);
+    } catch (err) {
+      console.error(err);
+      setError("Import failed.");
+    }
+  };
+
+  const readFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setCsv(await file.text());
+    e.target.value = "";
+  };
+
+  const toggleOutOfOrder = (r) => updateDoc(doc(db, `${roomsPath}/${r.id}`), { outOfOrder: !r.outOfOrder, updatedAt: serverTimestamp() });
+  const remove = async (r) => {
+    if (r.status === "occupied") return setError(`Room ${r.id} is occupied; check the guest out first.`);
+    if (window.confirm(`Remove room ${r.id} from the inventory?`)) await deleteDoc(doc(db, `${roomsPath}/${r.id}`));
+  };
+
+  const field = "border border-gray-300 rounded-lg px-2 py-1 text-sm";
+  return (
+    <div className="p-4 flex-1 overflow-y-auto space-y-5">
+      <form onSubmit={addRoom} className="space-y-2">
+        <h2 className="text-lg font-semibold">Rooms</h2>
+        <div className="flex gap-2">
+          <input className={`${field} w-24`} placeholder="Number" value={form.id} onChange={(e) => setForm((f) => ({ ...f, id: e.target.value }))} required />
+          <input className={`${field} w-20`} placeholder="Floor" value={form.floor} onChange={(e) => setForm((f) => ({ ...f, floor: e.target.value }))} />
+          <input className={`${field} flex-1`} placeholder="Type (e.g. Double)" value={form.type} onChange={(e) => setForm((f) => ({ ...f, type: e.target.value }))} />
+          <button type="submit" className="text-sm px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Add</button>
+        </div>
+      </form>
+
+      <div className="space-y-2">
+        <h3 className="text-sm font-semibold text-gray-700">Import CSV</h3>
+        <textarea className={`${field} w-full font-mono text-xs`} rows={4} placeholder={"room,floor,type,out_of_order\n101,1,Double,no\n102,1,Suite,yes"} value={csv} onChange={(e) => setCsv(e.target.value)} />
+        <div className="flex items-center gap-2">
+          <input type="file" accept=".csv,text/csv" onChange={readFile} className="text-xs flex-1" />
+          <button type="button" onClick={importCsv} disabled={!csv.trim()} className="text-sm px-3 py-1 rounded-lg bg-gray-600 text-white hover:bg-gray-700 disabled:opacity-50">Import</button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {notice && <p className="text-sm text-green-700">{notice}</p>}
+
+      {floors.map(([floor, list]) => (
+        <div key={floor}>
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">Floor {floor}</h3>
+          <div className="space-y-1">
+            {list.map((r) => {
+              const status = roomStatus(r);
+              return (
+                <div key={r.id} className="flex items-center justify-between gap-2 text-sm p-2 rounded border border-gray-200">
+                  <span className="font-medium">{r.id}</span>
+                  <span className="text-xs text-gray-500 flex-1 truncate">{r.type}</span>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${status === "occupied" ? "bg-green-100 text-green-700" : status === "out_of_order" ? "bg-red-100 text-red-700" : "bg-gray-100 text-gray-600"}`}>{ROOM_STATUS_LABELS[status]}</span>
+                  <button onClick={() => toggleOutOfOrder(r)} className="text-xs px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-50">{r.outOfOrder ? "Back in service" : "Out of order"}</button>
+                  <button onClick={() => remove(r)} className="text-xs text-red-600 hover:underline">Remove</button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Admin-only: issue invite codes and manage roles
+function StaffTeam({ db, appId, staff }) {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [inviteRole, setInviteRole] = useState("agent");
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!db) return;
+    const unsubStaff = onSnapshot(collection(db, `artifacts/${appId}/staff`), (snap) =>
+      setMembers(snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((m) => isStaffRole(m.role)))
+    );
+    const unsubInvites = onSnapshot(query(collection(db, `artifacts/${appId}/invites`), where("usedBy", "==", null)), (snap) =>
+      setInvites(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+    );
+    return () => { unsubStaff(); unsubInvites(); };
+  }, [db, appId]);
+
+  const createInvite = async (e) => {
+    e.preventDefault();
+    setError("");
+    const code = uuid().replace(/-/g, "").slice(0, 8).toUpperCase();
+    try {
+      await setDoc(doc(db, `artifacts/${appId}/invites/${code}`), {
+        role: inviteRole,
+        email: inviteEmail.trim() || null,
+        usedBy: null,
+        createdBy: staff.id,
+        createdAt: serverTimestamp(),
+      });
+      setInviteEmail("");
+    } catch (err) {
+      console.error(err);
+      setError("Could not create invite.");
+    }
+  };
+
+  const setRoleFor = async (memberId, newRole) => {
+    setError("");
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/staff/${memberId}`), { role: newRole, updatedAt: serverTimestamp() });
+    } catch (err) {
+      console.error(err);
+      setError("Could not change role.");
+    }
+  };
+
+  // Departments, with the member's language, decide which new conversations are routed to them
+  const toggleDepartment = async (member, key) => {
+    setError("");
+    const current = member.departments || [];
+    try {
+      await updateDoc(doc(db, `artifacts/${appId}/staff/${member.id}`), {
+        departments: current.includes(key) ? current.filter((d) => d !== key) : [...current, key],
+        updatedAt: serverTimestamp(),
+      });
+    } catch (err) {
+      console.error(err);
+      setError("Could not change departments.");
+    }
+  };
+
+  return (
+    <div className="p-4 flex-1 overflow-y-auto space-y-6">
+      <section>
+        <h2 className="text-lg font-semibold mb-3">Invite Staff</h2>
+        <form onSubmit={createInvite} className="flex flex-wrap gap-2">
+          <select className="border border-gray-300 rounded-lg px-3 py-2 bg-white" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+            {STAFF_ROLES.map((r) => (<option key={r} value={r}>{r}</option>))}
+          </select>
+          <input className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2" type="email" placeholder="Email (optional)" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} />
+          <button type="submit" className="px-3 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">Create</button>
+        </form>
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+        <div className="mt-3 space-y-2">
+          {invites.map((i) => (
+            <div key={i.id} className="p-2 rounded-lg border flex items-center justify-between text-sm">
+              <span><span className="font-mono font-semibold">{i.id}</span> · {i.role}{i.email ? ` · ${i.email}` : ""}</span>
+              <button onClick={() => deleteDoc(doc(db, `artifacts/${appId}/invites/${i.id}`))} className="text-xs text-red-600 hover:underline">Revoke</button>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section>
+        <h2 className="text-lg font-semibold mb-3">Team</h2>
+        <div className="space-y-2">
+          {members.map((m) => (
+            <div key={m.id} className="p-2 rounded-lg border flex items-center justify-between text-sm">
+              <div>
+                <p className="font-medium text-gray-800">{m.name}{m.onDuty && <span className="ml-2 text-[10px] text-green-700">on duty</span>}</p>
+                <p className="text-xs text-gray-600">{m.email} • {m.language?.label}</p>
+                <div className="flex flex-wrap gap-x-3 mt-1">
+                  {Object.entries(DEPARTMENTS).map(([key, label]) => (
+                    <label key={key} className="text-xs text-gray-600 flex items-center gap-1">
+                      <input type="checkbox" checked={(m.departments || []).includes(key)} onChange={() => toggleDepartment(m, key)} />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {/* Admins can't demote themselves, so there's always at least one admin */}
+              <select disabled={m.id === staff.id} className="border border-gray-300 rounded px-2 py-1 bg-white text-xs" value={m.role} onChange={(e) => setRoleFor(m.id, e.target.value)}>
+                {STAFF_ROLES.map((r) => (<option key={r} value={r}>{r}</option>))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+function Chat({ db, appId, role, roomId, currentUser, guestLanguage, focusMessageId, onGuestCheckout, onBack }) {
+  const [messages, setMessages] = useState([]);
+  const [text, setText] = useState("");
+  const [room, setRoom] = useState(null);
+  const [roomLoaded, setRoomLoaded] = useState(false);
+  const [outbox, setOutbox] = useState(() => loadOutbox(appId, currentUser.id));
+  const [requesting, setRequesting] = useState(false);
+  const [picking, setPicking] = useState(false);
+  const [handingOff, setHandingOff] = useState(false);
+  const [noting, setNoting] = useState(false); // staff: the composer writes an internal note instead of a reply
+  const [members, setMembers] = useState([]); // staff only: who a conversation can be handed to
+  const [handoffs, setHandoffs] = useState([]); // staff only: this stay's handoffs, newest first
+  const endRef = useRef(null);
+  const dictationBase = useRef(""); // text already typed when dictation started
+  const fileInput = useRef(null);
+  const [attachment, setAttachment] = useState(null); // file picked for the next send
+  const [uploading, setUploading] = useState(false);
+  const [attachError, setAttachError] = useState("");
+  const [presence, setPresence] = useState([]); // everyone else's presence doc in this room
+  const [visible, setVisible] = useState(() => document.visibilityState === "visible");
+  const [clock, setClock] = useState(Date.now());
+  const typingSentAt = useRef(0);
+  const typingTimer = useRef(null);
+  const receiptsTried = useRef(new Set());
+  const lazyTried = useRef(new Set());
+  const outboxRef = useRef(outbox);
+  const flushing = useRef(false);
+  const flushRef = useRef(null);
+  outboxRef.current = outbox;
+
+  const hotel = useHotel();
+  const { t } = useLocale();
+  const currentLanguage = currentUser.language || hotel.staffLanguage;
+  const otherLanguage = role === "guest" ? hotel.staffLanguage : (room?.guestLanguage || guestLanguage || { code: "en-US", label: "English" });
+
+  const targetLanguages = useMemo(
+    () => roomLanguages({ ...room, guestLanguage: room?.guestLanguage || guestLanguage }, hotel.staffLanguage).filter((l) => l.code !== currentLanguage.code),
+    [room, guestLanguage, currentLanguage.code, hotel.staffLanguage]
+  );
+
+  useEffect(() => {
+    if (!db || !roomId) return;
+    const unsub = onSnapshot(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`), (snap) => {
+      setRoom(snap.data() || null);
+      setRoomLoaded(true);
+    });
+    return () => unsub();
+  }, [db, appId, roomId]);
+
+  useEffect(() => saveOutbox(appId, currentUser.id, outbox), [appId, currentUser.id, outbox]);
+
+  // Handoff notes are internal, so they live outside the room doc the guest can read
+  useEffect(() => {
+    if (!db || role !== "staff") return;
+    const unsub = onSnapshot(collection(db, `artifacts/${appId}/staff`), (snap) =>
+      setMembers(snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((m) => isStaffRole(m.role)))
+    );
+    return () => unsub();
+  }, [db, appId, role]);
+  useEffect(() => {
+    setHandoffs([]);
+    if (!db || role !== "staff" || !room?.stayId) return;
+    const unsub = onSnapshot(query(collection(db, `artifacts/${appId}/handoffs`), where("stayId", "==", room.stayId)), (snap) => {
+      const rows = snap.docs.map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) }));
+      rows.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+      setHandoffs(rows);
+    });
+    return () => unsub();
+  }, [db, appId, role, room?.stayId]);
+
+  // Presence: one doc per participant under the room, with online/typing state and a heartbeat
+  const presencePath = `artifacts/${appId}/public/data/rooms/${roomId}/presence`;
+  const writePresence = (fields) =>
+    setDoc(doc(db, `${presencePath}/${currentUser.id}`), { name: currentUser.name, role, ...fields, lastSeenAt: serverTimestamp() }, { merge: true })
+      .catch((err) => console.error("Presence update failed:", err));
+
+  useEffect(() => {
+    if (!db || !roomId) return;
+    const unsub = onSnapshot(collection(db, presencePath), (snap) =>
+      setPresence(snap.docs.filter((d) => d.id !== currentUser.id).map((d) => ({ id: d.id, ...d.data({ serverTimestamps: "estimate" }) })))
+    );
+    const onVisibility = () => {
+      const isVisible = document.visibilityState === "visible";
+      setVisible(isVisible);
+      writePresence({ online: isVisible, typing: false });
+    };
+    writePresence({ online: document.visibilityState === "visible", typing: false });
+    const heartbeat = setInterval(() => document.visibilityState === "visible" && writePresence({ online: true }), ONLINE_TTL_MS / 2);
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => {
+      unsub();
+      clearInterval(heartbeat);
+      clearTimeout(typingTimer.current);
+      document.removeEventListener("visibilitychange", onVisibility);
+      writePresence({ online: false, typing: false });
+    };
+  }, [db, appId, roomId, currentUser.id]);
+
+  // Throttled: at most one typing write every few seconds, cleared after a pause or on send
+  const noteTyping = () => {
+    if (Date.now() - typingSentAt.current > 3000) {
+      typingSentAt.current = Date.now();
+      writePresence({ typing: true, typingAt: serverTimestamp() });
+    }
+    clearTimeout(typingTimer.current);
+    typingTimer.current = setTimeout(stopTyping, 5000);
+  };
+  const stopTyping = () => {
+    clearTimeout(typingTimer.current);
+    if (!typingSentAt.current) return;
+    typingSentAt.current = 0;
+    writePresence({ typing: false });
+  };
+
+  const typists = presence.filter((p) => p.typing && clock - (p.typingAt?.toMillis?.() || 0) < TYPING_TTL_MS);
+  const othersOnline = presence.filter((p) => p.online && clock - (p.lastSeenAt?.toMillis?.() || 0) < ONLINE_TTL_MS);
+  const participantNames = useMemo(() => Object.fromEntries(presence.map((p) => [p.id, p.name])), [presence]);
+  // Re-evaluate the TTLs while anyone is typing or online
+  useEffect(() => {
+    if (!presence.length) return;
+    const t = setInterval(() => setClock(Date.now()), 3000);
+    return () => clearInterval(t);
+  }, [presence.length]);
+
+  // Receipts: messages reaching this device are marked delivered, and read once the chat is on screen
+  useEffect(() => {
+    const me = currentUser.id;
+    const due = messages.filter((m) => {
+      if (m.senderId === me || m.senderRole === "system" || m.deliveryState !== "sent") return false;
+      const needed = !m.deliveredTo?.[me] ? "delivered" : visible && !m.readBy?.[me] ? "read" : null;
+      return needed && !receiptsTried.current.has(`${m.id}:${visible ? "read" : "delivered"}`);
+    });
+    if (!due.length) return;
+    const batch = writeBatch(db);
+    for (const m of due) {
+      receiptsTried.current.add(`${m.id}:${visible ? "read" : "delivered"}`);
+      batch.update(doc(db, `artifacts/${appId}/public/data/messages/${m.id}`), {
+        ...(m.deliveredTo?.[me] ? {} : { [`deliveredTo.${me}`]: serverTimestamp() }),
+        ...(visible ? { [`readBy.${me}`]: serverTimestamp() } : {}),
+      });
+    }
+    batch.commit().catch((err) => console.error("Failed to record receipts:", err));
+  }, [messages, visible, db, appId, currentUser.id]);
+
+  // Guests who kept the default language but type in another one get asked, in that language, to switch
+  const declinedKey = `hotelconnect:declined-languages:${currentUser.id}`;
+  const [declinedLanguages, setDeclinedLanguages] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(declinedKey)) || [];
+    } catch {
+      return [];
+    }
+  });
+  const declineLanguage = (code) => {
+    const next = [...declinedLanguages, code];
+    setDeclinedLanguages(next);
+    try {
+      localStorage.setItem(declinedKey, JSON.stringify(next));
+    } catch {
+      // storage full or blocked; the choice still holds for this session
+    }
+  };
+  const suggestedLanguage = useMemo(
+    () => (role === "guest"
+      ? suggestLanguage(messages, { senderId: currentUser.id, currentLanguage, offered: hotel.guestLanguages, declined: declinedLanguages })
+      : null),
+    [role, messages, currentUser.id, currentLanguage, hotel.guestLanguages, declinedLanguages]
+  );
 
-function Chat({ db, appId, role, roomId, currentUser, guestLanguage, onGuestCheckout, onBack }) {
-  const [messages, setMessages] = useState([]);
-  const [text, setText] = useState("");
-  const [sending, setSending] = useState(false);
-  const endRef = useRef(null);
+  // The room's guestLanguage decides what staff messages are translated into, so both docs change together
+  const switchLanguage = async (lang) => {
+    const language = { label: lang.label, code: lang.code };
+    try {
+      await Promise.all([
+        updateDoc(doc(db, `artifacts/${appId}/users/${currentUser.id}`), { language, updatedAt: serverTimestamp() }),
+        updateDoc(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`), { guestLanguage: language, updatedAt: serverTimestamp() }),
+      ]);
+      // The rules check this exact wording, so guests can't post arbitrary notices
+      await postSystemMessage(db, appId, roomId, currentUser.id, `${currentUser.name || "The guest"} switched the chat to ${lang.label}.`, { notice: "language_switch" });
+    } catch (err) {
+      console.error("Language switch failed:", err);
+    }
+  };
+
+  // Queued sends for this room that Firestore doesn't know about yet, shown after the synced messages
+  const shown = useMemo(() => {
+    const ids = new Set(messages.map((m) => m.id));
+    const queued = outbox
+      .filter((e) => e.roomId === roomId && !ids.has(e.id))
+      .map((e) => ({ ...e, senderId: currentUser.id, senderRole: e.note ? "note" : role, deliveryState: e.status }));
+    return [...messages, ...queued];
+  }, [messages, outbox, roomId, currentUser.id, role]);
+
+  useEffect(() => { endRef.current?.scrollIntoView({ behavior: "smooth" }); }, [shown.length]);
 
-  const currentLanguage = currentUser.language || HOTEL_LANGUAGE;
-  const otherLanguage = role === "guest" ? HOTEL_LANGUAGE : (guestLanguage || { code: "en-US", label: "English" });
+  // Opened from a search result: bring that message into view once, when it has loaded
+  const focused = useRef(false);
+  useEffect(() => {
+    if (!focusMessageId || focused.current || !messages.some((m) => m.id === focusMessageId)) return;
+    focused.current = true;
+    document.getElementById(`message-${focusMessageId}`)?.scrollIntoView({ block: "center" });
+  }, [messages, focusMessageId]);
+
+  // Staff read marker: remember how many messages this room had when we last looked at it
+  const messageCount = room?.messageCount || 0;
+  useEffect(() => {
+    if (role !== "staff" || !db || !currentUser.id || !messageCount) return;
+    updateDoc(doc(db, `artifacts/${appId}/staff/${currentUser.id}`), { [`readCounts.${roomId}`]: messageCount }).catch((err) =>
+      console.error("Failed to update read marker:", err)
+    );
+  }, [role, db, appId, roomId, currentUser.id, messageCount]);
 
-  useEffect(() => { endRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages]);
+  // Fill in translations the sender didn't store for us (new reader language, or a failed call at send time).
+  // Writing them back means every later reader in this language gets them for free.
+  useEffect(() => {
+    const code = currentLanguage.code;
+    const missing = messages.filter((m) => {
+      if (!m.language?.code || m.language.code === code || !m.text) return false;
+      const stored = m.translations?.[code];
+      return (!stored || isUnavailable(stored)) && !lazyTried.current.has(`${m.id}:${code}`);
+    });
+    if (!missing.length) return;
+    missing.forEach((m) => lazyTried.current.add(`${m.id}:${code}`));
+
+    (async () => {
+      for (const m of missing) {
+        try {
+          const r = (await requestTranslations(appId, m.text, m.language.code, [code]))[code];
+          // An echo from the mock provider isn't worth persisting; a real provider may be configured later
+          if (!r?.translated || r.provider === "mock") continue;
+          await updateDoc(doc(db, `artifacts/${appId}/public/data/messages/${m.id}`), {
+            [`translations.${code}`]: r.translated,
+            [`translationMeta.${code}`]: { provider: r.provider, confidence: r.confidence, detectedLang: r.detectedLang },
+          });
+        } catch (err) {
+          console.error("Lazy translation failed:", err);
+        }
+      }
+    })();
+  }, [messages, currentLanguage.code, db, appId]);
 
   useEffect(() => {
     if (!db || !roomId) return;
     // No orderBy: we sort locally to avoid Firestore composite index requirement
-    const qMsgs = query(collection(db, `artifacts/${appId}/public/data/messages`), where("roomId", "==", roomId));
-    const unsub = onSnapshot(qMsgs, (snap) => {
-      const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const messagesRef = collection(db, `artifacts/${appId}/public/data/messages`);
+    const qMsgs = role === "staff"
+      ? query(messagesRef, where("roomId", "==", roomId))
+      : query(messagesRef, where("roomId", "==", roomId), where("senderRole", "in", GUEST_VISIBLE_ROLES));
+    // Metadata changes tell us when a locally written message has reached the server
+    const unsub = onSnapshot(qMsgs, { includeMetadataChanges: true }, (snap) => {
+      const rows = snap.docs.map((d) => ({
+        id: d.id,
+        ...d.data({ serverTimestamps: "estimate" }),
+        deliveryState: d.metadata.hasPendingWrites ? "pending" : "sent",
+      }));
       rows.sort((a,b) => (a.timestamp?.toMillis?.()||0) - (b.timestamp?.toMillis?.()||0));
-      const processed = rows.map((m) => {
-        const showTranslated = m.language?.code !== currentLanguage.code && m.translations?.[currentLanguage.code];
-        return showTranslated ? { ...m, text: m.translations[currentLanguage.code] } : m;
-      });
-      setMessages(processed);
+      setMessages(rows);
     }, (err) => console.error('Message subscription error:', err));
     return () => unsub();
-  }, [db, appId, roomId, currentLanguage.code]);
+  }, [db, appId, roomId, role]);
 
-  const send = async (e) => {
-    e.preventDefault();
-    const body = text.trim();
-    if (!body || sending) return;
-    setSending(true);
-    setText("");
+  // A guest who checks out can't see the staff notes, so they stay behind; file them under their stay.
+  // Notes written while the room had no stay go with the next stay checked out after them.
+  const notesTried = useRef(new Set());
+  useEffect(() => {
+    if (role !== "staff" || !roomLoaded) return;
+    const checkedOutAt = room?.lastCheckedOutAt?.toMillis?.();
+    const stayOf = (m) => m.stayId || (room?.lastStayId && m.timestamp?.toMillis?.() < checkedOutAt ? room.lastStayId : null);
+    const stale = messages
+      .filter((m) => m.senderRole === "note" && m.deliveryState === "sent" && stayOf(m) && stayOf(m) !== room?.stayId && !notesTried.current.has(m.id))
+      .map((m) => ({ ...m, stayId: stayOf(m) }));
+    if (!stale.length) return;
+    stale.forEach((m) => notesTried.current.add(m.id));
+    archiveNotes(db, appId, stale).catch((err) => console.error("Archiving notes failed:", err));
+  }, [messages, room?.stayId, room?.lastStayId, room?.lastCheckedOutAt, roomLoaded, role, db, appId]);
+
+  // Notes are read by staff only: the hotel language, the room's followers and assignee, and anyone mentioned
+  const noteLanguages = (mentions = []) => {
+    const mentioned = members.filter((m) => mentions.includes(m.id) && m.language?.code).map((m) => [m.id, m.language]);
+    return roomLanguages({ staffLanguages: { ...room?.staffLanguages, ...Object.fromEntries(mentioned) } }, hotel.staffLanguage)
+      .filter((l) => l.code !== currentLanguage.code);
+  };
 
+  // Translate, write and announce one queued message. Throws on failure; network errors are retried later.
+  const deliver = async (entry) => {
     const payload = {
       roomId,
-      text: body,
-      language: currentLanguage,
+      text: entry.text,
+      language: entry.language,
       senderId: currentUser.id,
       senderName: currentUser.name,
-      senderRole: role,
+      senderRole: entry.note ? "note" : role,
       timestamp: serverTimestamp(),
       translations: {},
       translationMeta: {},
+      ...(entry.attachment ? { attachment: entry.attachment } : {}),
+      // The stay lets a note left behind by a guest's checkout be archived with the right stay
+      ...(entry.note ? { stayId: room?.stayId || null, mentions: entry.mentions || [] } : {}),
     };
 
-    try {
-      if (currentLanguage.code !== otherLanguage.code) {
-        const res = await fetch("/api/translate", {
+    // An attachment without a caption has nothing to translate
+    const targets = entry.text ? (entry.note ? noteLanguages(entry.mentions) : targetLanguages).filter((l) => l.code !== entry.language.code) : [];
+    // Canned responses carry human-approved translations; only the rest go to the provider
+    const preset = entry.preset || {};
+    const needMachine = targets.filter((l) => !preset[l.code]);
+    // Offline, this throws and the entry stays queued; a provider failure just returns no results.
+    // A guest's text is sent even when nothing needs translating, so its language is still detected.
+    const detectGuest = !!entry.text && role === "guest" && !entry.note;
+    const { translations: results, detectedLang } = needMachine.length || detectGuest
+      ? await translateText(appId, entry.text, entry.language.code, needMachine.map((l) => l.code))
+      : { translations: {}, detectedLang: null };
+    if (detectGuest && detectedLang && detectedLang !== "unknown") payload.detectedLang = detectedLang;
+    for (const { code } of targets) {
+      const r = results[code];
+      if (preset[code]) {
+        payload.translations[code] = preset[code];
+        payload.translationMeta[code] = { provider: "template", confidence: 1, reviewed: true };
+      } else if (r?.translated) {
+        payload.translations[code] = r.translated;
+        payload.translationMeta[code] = { provider: r.provider, confidence: r.confidence, detectedLang: r.detectedLang };
+      } else {
+        payload.translations[code] = `${UNAVAILABLE_PREFIX}${entry.text}`;
+      }
+    }
+
+    await setDoc(doc(db, `artifacts/${appId}/public/data/messages/${entry.id}`), payload);
+    // Guests read the room doc, so a note leaves its preview and counters alone; only the people mentioned hear about it
+    if (entry.note) {
+      if (payload.mentions.length) {
+        authedFetch("/api/push", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ text: body, sourceLang: currentLanguage.code, targetLang: otherLanguage.code }),
-        });
-        if (res.ok) {
-          const { translated, provider, confidence, detectedLang } = await res.json();
-          payload.translations[otherLanguage.code] = translated;
-          payload.translationMeta[otherLanguage.code] = { provider, confidence, detectedLang };
-        } else {
-          payload.translations[otherLanguage.code] = `(Translation unavailable) ${body}`;
+          body: JSON.stringify({ appId, messageId: entry.id }),
+        }).catch((err) => console.error("Push notify failed:", err));
+      }
+      return;
+    }
+    // Touch room so staff lists sort by activity and can show unread/awaiting state.
+    // awaitingSince marks the first unanswered guest message; a staff reply clears it.
+    await setDoc(
+      doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`),
+      {
+        updatedAt: serverTimestamp(),
+        lastMessageAt: serverTimestamp(),
+        lastMessagePreview: (entry.text || `📎 ${entry.attachment?.name || "Attachment"}`).slice(0,120),
+        lastMessageRole: role,
+        messageCount: increment(1),
+        ...(role === "staff" ? { awaitingSince: null, escalatedAt: null, escalatedFrom: null } : room?.lastMessageRole === "guest" && room?.awaitingSince ? {} : { awaitingSince: serverTimestamp() }),
+      },
+      { merge: true }
+    );
+    // Fire and forget: the message is already delivered in-app. A guest writing to a room nobody owns
+    // gets it routed first, so the new assignee is notified too.
+    const routed = role === "guest" && !room?.assigneeId ? requestAssignment(appId, roomId) : Promise.resolve();
+    routed
+      .then(() => authedFetch("/api/push", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ appId, messageId: entry.id }),
+      }))
+      .catch((err) => console.error("Push notify failed:", err));
+  };
+
+  const flush = async () => {
+    if (flushing.current || !roomLoaded) return;
+    flushing.current = true;
+    try {
+      for (const entry of outboxRef.current.filter((e) => e.roomId === roomId && e.status === "pending")) {
+        if (!navigator.onLine) break;
+        try {
+          await deliver(entry);
+          setOutbox((list) => list.filter((e) => e.id !== entry.id));
+        } catch (err) {
+          // Keep order: stop here and pick up again when the connection comes back
+          if (isNetworkError(err)) break;
+          console.error("Send failed:", err);
+          const attempts = (entry.attempts || 0) + 1;
+          setOutbox((list) => list.map((e) => (e.id === entry.id ? { ...e, attempts, status: attempts >= MAX_ATTEMPTS ? "failed" : "pending" } : e)));
         }
       }
-    } catch {
-      payload.translations[otherLanguage.code] = `(Translation unavailable) ${body}`;
+    } finally {
+      flushing.current = false;
     }
+  };
+  flushRef.current = flush;
+
+  // Retry on reconnect, on a timer as a backstop (navigator.onLine can lie), and whenever something is queued
+  useEffect(() => {
+    const onOnline = () => flushRef.current();
+    window.addEventListener("online", onOnline);
+    const timer = setInterval(onOnline, 15000);
+    return () => {
+      window.removeEventListener("online", onOnline);
+      clearInterval(timer);
+    };
+  }, []);
+  useEffect(() => { flushRef.current(); }, [outbox.length, roomLoaded]);
+
+  const send = async (e) => {
+    e.preventDefault();
+    stopTyping();
+    const body = text.trim();
+    if (noting) return sendNote(body);
+    if (attachment) return sendAttachment(body);
+    if (!body) return;
+    setText("");
+    setOutbox((list) => [...list, { id: uuid(), roomId, text: body, language: currentLanguage, createdAt: Date.now(), status: "pending", attempts: 0 }]);
+  };
+
+  // Colleagues picked from the suggestions, so two people with the same name can still be told apart
+  const [pickedMentions, setPickedMentions] = useState([]);
+  const sendNote = (body) => {
+    if (!body) return;
+    setText("");
+    const mentions = mentionsIn(body, members.filter((m) => m.id !== currentUser.id), pickedMentions);
+    setPickedMentions([]);
+    setOutbox((list) => [...list, { id: uuid(), roomId, text: body, language: currentLanguage, note: true, mentions, createdAt: Date.now(), status: "pending", attempts: 0 }]);
+  };
+  // While a note ends in "@partial", offer the matching colleagues
+  const mentionQuery = noting ? text.match(/@([^\s@]*)$/)?.[1] : undefined;
+  const mentionOptions = mentionQuery === undefined ? [] : members
+    .filter((m) => m.id !== currentUser.id && m.name?.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+    .slice(0, 5);
+  const insertMention = (member) => {
+    setText((v) => v.replace(/@[^\s@]*$/, `@${member.name} `));
+    setPickedMentions((ids) => [...ids, member.id]);
+  };
+
+  const pickFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const problem = attachmentProblem(file);
+    setAttachError(problem || "");
+    setAttachment(problem ? null : file);
+  };
 
+  // Files can't wait in the localStorage outbox, so the upload happens now and only the message is queued.
+  // Files live under the stay rather than the room, so they follow a room move and stay readable after checkout.
+  // A room without a stay (checked in before stays were recorded) falls back to the room's folder, which
+  // storage.rules only opens to the room's current guest: those files are lost to the guest at checkout.
+  const sendAttachment = async (caption) => {
+    if (!navigator.onLine) return setAttachError("chat.attachOffline");
+    setUploading(true);
+    setAttachError("");
     try {
-      await addDoc(collection(db, `artifacts/${appId}/public/data/messages`), payload);
-      // Touch room so staff lists sort by activity
-      await setDoc(
-        doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`),
-        { updatedAt: serverTimestamp(), lastMessageAt: serverTimestamp(), lastMessagePreview: body.slice(0,120) },
-        { merge: true }
-      );
-    } catch (e) {
-      console.error(e);
-      alert("Failed to send message.");
+      const id = uuid();
+      const base = room?.stayId ? `artifacts/${appId}/stays/${room.stayId}` : `artifacts/${appId}/rooms/${roomId}`;
+      const uploaded = await uploadAttachment(`${base}/attachments/${id}`, attachment);
+      setOutbox((list) => [...list, { id, roomId, text: caption, language: currentLanguage, attachment: uploaded, createdAt: Date.now(), status: "pending", attempts: 0 }]);
+      setAttachment(null);
+      setText("");
+    } catch (err) {
+      console.error(err);
+      setAttachError("chat.uploadFailed");
     } finally {
-      setSending(false);
+      setUploading(false);
+    }
+  };
+
+  // Canned response: send the template's source text with its reviewed translations, variables filled in
+  const sendTemplate = (template) => {
+    const vars = { guestName: room?.guestName || "", roomId, staffName: currentUser.name };
+    const preset = {};
+    for (const [code, t] of Object.entries(template.translations || {})) {
+      if (template.reviewed?.[code]) preset[code] = fillTemplate(t, vars);
+    }
+    setPicking(false);
+    setOutbox((list) => [...list, {
+      id: uuid(),
+      roomId,
+      text: fillTemplate(template.text, vars),
+      language: template.language || hotel.staffLanguage,
+      preset,
+      templateId: template.id,
+      createdAt: Date.now(),
+      status: "pending",
+      attempts: 0,
+    }]);
+  };
+
+  // Guest service request: optional photo to Storage, description translated for staff, then a notice in the chat
+  const submitRequest = async ({ category, priority, description, photo }) => {
+    const requestRef = doc(collection(db, `artifacts/${appId}/public/data/requests`));
+    let photoUrl = null;
+    if (photo) {
+      const fileRef = storageRef(getStorage(), `artifacts/${appId}/rooms/${roomId}/requests/${requestRef.id}/${photo.name}`);
+      await uploadBytes(fileRef, photo, { contentType: photo.type });
+      photoUrl = await getDownloadURL(fileRef);
     }
+    const { translations } = description ? await buildTranslations(appId, description, currentLanguage, targetLanguages) : { translations: {} };
+    await setDoc(requestRef, {
+      roomId,
+      guestId: currentUser.id,
+      guestName: currentUser.name,
+      category,
+      priority,
+      description,
+      language: currentLanguage,
+      translations,
+      photoUrl,
+      status: "open",
+      assigneeId: null,
+      assigneeName: null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    await postSystemMessage(db, appId, roomId, currentUser.id, `${REQUEST_CATEGORIES[category]} request opened (${REQUEST_PRIORITIES[priority]} priority).`, { requestId: requestRef.id });
+    // The conversation now belongs with that department (set by /api/assign, which also routes it if nobody owns it)
+    requestAssignment(appId, roomId, requestRef.id);
+    setRequesting(false);
+  };
+
+  // Staff pass the conversation on with an internal note, or take it themselves (no note)
+  const handOff = async (member, note) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, `artifacts/${appId}/public/data/rooms/${roomId}`), {
+      assigneeId: member.id,
+      assigneeName: member.name || null,
+      assignedAt: serverTimestamp(),
+      [`staffLanguages.${member.id}`]: member.language || hotel.staffLanguage,
+      updatedAt: serverTimestamp(),
+    });
+    batch.set(doc(collection(db, `artifacts/${appId}/handoffs`)), {
+      roomId,
+      stayId: room?.stayId || null,
+      fromId: currentUser.id,
+      fromName: currentUser.name,
+      toId: member.id,
+      toName: member.name || null,
+      note,
+      createdAt: serverTimestamp(),
+    });
+    await batch.commit();
+    if (member.id !== currentUser.id) notifyStaff(appId, roomId, "handoff");
+    setHandingOff(false);
+  };
+  const latestHandoff = handoffs.find((h) => h.toId === room?.assigneeId && h.note);
+
+  const exportCurrentStay = () =>
+    buildTranscript(
+      { id: room?.stayId, roomId, guestName: room?.guestName, guestLanguage: room?.guestLanguage, checkedInAt: room?.createdAt },
+      messages
+    );
+
+  const retry = (id) => {
+    setOutbox((list) => list.map((e) => (e.id === id ? { ...e, status: "pending", attempts: 0 } : e)));
+    setTimeout(() => flushRef.current(), 0);
+  };
+
+  // Staff fix a bad translation in place; the correction is also logged for the glossary suggestions
+  const correctTranslation = async (message, code, corrected) => {
+    const previous = message.translations?.[code] || "";
+    const batch = writeBatch(db);
+    batch.update(doc(db, `artifacts/${appId}/public/data/messages/${message.id}`), {
+      [`translations.${code}`]: corrected,
+      [`translationMeta.${code}`]: { provider: "staff", confidence: 1, correctedBy: currentUser.id, correctedByName: currentUser.name, correctedAt: Date.now() },
+    });
+    batch.set(doc(collection(db, `artifacts/${appId}/translation_corrections`)), {
+      messageId: message.id,
+      roomId,
+      sourceText: message.text,
+      sourceLang: message.language?.code || null,
+      targetLang: code,
+      machine: isUnavailable(previous) ? "" : previous,
+      corrected,
+      by: currentUser.id,
+      byName: currentUser.name,
+      createdAt: serverTimestamp(),
+    });
+    await batch.commit();
   };
 
   return (
     <div className="flex-1 flex flex-col">
       <div className="p-3 border-b border-gray-200 flex items-center justify-between">
         <div>
-          <p className="font-semibold text-gray-800">Room: {roomId}</p>
+          <p className="font-semibold text-gray-800 flex items-center gap-2">
+            {t("chat.room", { room: roomId })}
+            {othersOnline.some((p) => p.role !== role) && (
+              <span className="flex items-center gap-1 text-[10px] font-normal text-green-700"><span className="w-2 h-2 rounded-full bg-green-500" />{t(role === "guest" ? "chat.staffOnline" : "chat.guestOnline")}</span>
+            )}
+          </p>
           {role === "staff" && (
-            <p className="text-xs text-gray-500">Guest prefers: {otherLanguage.label} ({otherLanguage.code})</p>
+            <p className="text-xs text-gray-500">
+              Guest prefers: {otherLanguage.label} ({otherLanguage.code}) •{" "}
+              {room?.assigneeId ? `Assigned to ${room.assigneeId === currentUser.id ? "me" : room.assigneeName || "staff"}` : "Unassigned"}
+              {room?.escalatedAt && <span className="ml-1 text-[10px] px-1.5 py-0.5 rounded-full bg-orange-500 text-white">Escalated</span>}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <TranscriptExport build={exportCurrentStay} />
+          {role === "guest" ? (
+            <>
+              <NotificationToggle db={db} docPath={`artifacts/${appId}/users/${currentUser.id}`} />
+              <button onClick={onGuestCheckout} className="text-sm bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700">{t("chat.checkout")}</button>
+            </>
+          ) : (
+            <>
+              {room?.status === "occupied" && room.assigneeId !== currentUser.id && (
+                <button onClick={() => handOff(currentUser, "").catch((err) => console.error("Assignment failed:", err))} className="text-sm bg-indigo-50 text-indigo-700 border border-indigo-300 px-3 py-1 rounded-lg hover:bg-indigo-100">Take</button>
+              )}
+              {room?.status === "occupied" && (
+                <button onClick={() => setHandingOff((v) => !v)} className="text-sm bg-white text-gray-700 border border-gray-300 px-3 py-1 rounded-lg hover:bg-gray-50">Hand off</button>
+              )}
+              <button onClick={onBack} className="text-sm bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700">{t("common.back")}</button>
+            </>
           )}
         </div>
-        {role === "guest" ? (
-          <button onClick={onGuestCheckout} className="text-sm bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700">Check Out</button>
-        ) : (
-          <button onClick={onBack} className="text-sm bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700">Back</button>
-        )}
       </div>
 
+      {role === "staff" && latestHandoff && (
+        <div className="px-3 py-2 border-b bg-indigo-50 text-xs text-indigo-900">
+          <span className="font-medium">Handed to {latestHandoff.toId === currentUser.id ? "you" : latestHandoff.toName} by {latestHandoff.fromName}:</span>{" "}
+          <span className="whitespace-pre-wrap">{latestHandoff.note}</span>
+        </div>
+      )}
+      {handingOff && (
+        <HandoffForm members={members.filter((m) => m.id !== room?.assigneeId)} onSubmit={handOff} onCancel={() => setHandingOff(false)} />
+      )}
+
       <div className="flex-1 p-4 overflow-y-auto space-y-3 bg-gray-50">
-        {messages.map((m) => (<Bubble key={m.id} mine={m.senderId === currentUser.id} message={m} />))}
+        {shown.map((m) => (
+          <Bubble
+            key={m.id}
+            mine={m.senderId === currentUser.id}
+            message={m}
+            readerLanguage={currentLanguage}
+            participants={participantNames}
+            onRetry={retry}
+            onCorrect={role === "staff" && m.deliveryState === "sent" ? correctTranslation : null}
+            mentioned={!!m.mentions?.includes(currentUser.id)}
+            highlighted={m.id === focusMessageId}
+          />
+        ))}
+        {typists.length > 0 && (
+          <p className="text-xs text-gray-500 italic">
+            {t(typists.some((p) => p.role === "staff") ? "chat.typing.staff" : "chat.typing.guest")}
+          </p>
+        )}
         <div />
       </div>
 
-      <form onSubmit={send} className="p-3 border-t bg-white flex items-center gap-2">
-        <input className="flex-1 border border-gray-300 rounded-full px-4 py-2 focus:ring-2 focus:ring-blue-600" placeholder="Type a message…" value={text} onChange={(e) => setText(e.target.value)} disabled={sending} />
-        <button type="submit" className="p-3 rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:bg-blue-300" disabled={sending || !text.trim()} aria-label="Send">
+      {suggestedLanguage && (
+        <LanguageSuggestion
+          language={suggestedLanguage}
+          current={currentLanguage}
+          onAccept={() => switchLanguage(suggestedLanguage)}
+          onDecline={() => declineLanguage(suggestedLanguage.code)}
+        />
+      )}
+      {requesting && <ServiceRequestForm onSubmit={submitRequest} onCancel={() => setRequesting(false)} />}
+      {picking && <TemplatePicker db={db} appId={appId} language={currentLanguage} onPick={sendTemplate} onClose={() => setPicking(false)} />}
+
+      {(attachment || attachError) && (
+        <div className="px-3 py-2 border-t bg-gray-50 flex items-center gap-2 text-xs">
+          {attachment && (
+            <>
+              <span className="truncate flex-1">📎 {t("chat.attachHint", { name: attachment.name })}</span>
+              <button type="button" onClick={() => setAttachment(null)} className="text-gray-500 hover:text-gray-800" disabled={uploading}>{t("chat.remove")}</button>
+            </>
+          )}
+          {attachError && <span className="text-red-600 flex-1">{t(attachError)}</span>}
+        </div>
+      )}
+
+      {mentionOptions.length > 0 && (
+        <div className="px-3 py-1 border-t bg-amber-50 flex flex-wrap gap-1">
+          {mentionOptions.map((m) => (
+            <button key={m.id} type="button" onClick={() => insertMention(m)} className="text-xs px-2 py-0.5 rounded-full bg-white border border-amber-300 text-amber-900 hover:bg-amber-100">@{m.name}</button>
+          ))}
+        </div>
+      )}
+      <form onSubmit={send} className={`p-3 border-t flex items-center gap-2 ${noting ? "bg-amber-50" : "bg-white"}`}>
+        <input ref={fileInput} type="file" accept={Object.keys(ATTACHMENT_TYPES).join(",")} onChange={pickFile} className="hidden" />
+        {!noting && (
+          <button type="button" onClick={() => fileInput.current?.click()} className="p-2 rounded-full text-gray-500 hover:text-gray-800 hover:bg-gray-100" aria-label={t("chat.attach")} title={t("chat.attachLimits")}>
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" /></svg>
+          </button>
+        )}
+        {role === "guest" && (
+          <button type="button" onClick={() => setRequesting((v) => !v)} className="p-2 rounded-full text-gray-500 hover:text-gray-800 hover:bg-gray-100" aria-label={t("chat.newRequest")} title={t("chat.newRequestHint")}>
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7v6m-3-3h6" /></svg>
+          </button>
+        )}
+        {role === "staff" && (
+          <button type="button" onClick={() => setNoting((v) => !v)} className={`p-2 rounded-full hover:bg-gray-100 ${noting ? "text-amber-600" : "text-gray-500 hover:text-gray-800"}`} aria-pressed={noting} aria-label={t("note.label")} title={t("note.toggle")}>
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" /></svg>
+          </button>
+        )}
+        {role === "staff" && !noting && (
+          <button type="button" onClick={() => setPicking((v) => !v)} className="p-2 rounded-full text-gray-500 hover:text-gray-800 hover:bg-gray-100" aria-label="Quick replies" title="Quick replies">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 10V3L4 14h7v7l9-11h-7z" /></svg>
+          </button>
+        )}
+        <MicButton
+          language={currentLanguage}
+          onStart={() => { dictationBase.current = text.trim() ? `${text.trim()} ` : ""; }}
+          onText={(spoken) => setText(dictationBase.current + spoken)}
+        />
+        <input className="flex-1 border border-gray-300 rounded-full px-4 py-2 focus:ring-2 focus:ring-blue-600" placeholder={noting ? t("note.placeholder") : t("chat.placeholder")} value={text} onChange={(e) => { setText(e.target.value); if (!noting) noteTyping(); }} />
+        <button type="submit" className="p-3 rounded-full bg-blue-600 text-white hover:bg-blue-700 disabled:bg-blue-300" disabled={uploading || (!text.trim() && (!attachment || noting))} aria-label={t("chat.send")}>
           <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" /></svg>
         </button>
       </form>
@@ -563,14 +3473,422 @@ function Chat({ db, appId, role, roomId, currentUser, guestLanguage, onGuestChec
   );
 }
 
-function Bubble({ mine, message }) {
-  const timeLabel = message?.timestamp?.toDate ? message.timestamp.toDate().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "…";
+// Asked in the suggested language rather than the current one, since the guest evidently reads it
+function LanguageSuggestion({ language, current, onAccept, onDecline }) {
+  const t = translator(language.code);
+  const name = languageName(language.code, language.code);
+  return (
+    <div className="px-3 py-2 border-t bg-amber-50 text-xs flex items-center gap-2" lang={language.code} dir={isRtl(language.code) ? "rtl" : "ltr"}>
+      <span className="flex-1">{t("switch.prompt", { language: name })}</span>
+      <button type="button" onClick={onAccept} className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">{t("switch.yes")}</button>
+      <button type="button" onClick={onDecline} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">{t("switch.no", { current: languageName(current.code, language.code) })}</button>
+    </div>
+  );
+}
+
+// Staff quick-reply picker; previews each template in the picker's own language when a reviewed translation exists
+function TemplatePicker({ db, appId, language, onPick, onClose }) {
+  const [templates, setTemplates] = useState([]);
+  const [search, setSearch] = useState("");
+
+  useEffect(() => {
+    const unsub = onSnapshot(query(collection(db, `artifacts/${appId}/templates`), orderBy("title")), (snap) =>
+      setTemplates(snap.docs.map((d) => ({ id: d.id, ...d.data() })))
+    );
+    return () => unsub();
+  }, [db, appId]);
+
+  const preview = (t) => (t.reviewed?.[language.code] && t.translations?.[language.code]) || t.text;
+  const needle = search.trim().toLowerCase();
+  const listed = templates.filter((t) => !needle || `${t.title} ${t.text} ${preview(t)}`.toLowerCase().includes(needle));
+
+  return (
+    <div className="border-t bg-white max-h-60 flex flex-col">
+      <div className="p-2 flex items-center gap-2">
+        <input className="flex-1 border border-gray-300 rounded-lg px-3 py-1 text-sm" placeholder="Search quick replies" value={search} onChange={(e) => setSearch(e.target.value)} autoFocus />
+        <button type="button" onClick={onClose} className="text-xs text-gray-600 hover:text-gray-900">Close</button>
+      </div>
+      <div className="overflow-y-auto">
+        {listed.length === 0 && <p className="px-3 pb-3 text-xs text-gray-500">No quick replies yet. Supervisors can add them under <strong>Templates</strong>.</p>}
+        {listed.map((t) => (
+          <button key={t.id} type="button" onClick={() => onPick(t)} className="w-full text-left px-3 py-2 hover:bg-indigo-50 border-t">
+            <p className="text-xs font-semibold text-gray-800">{t.title}</p>
+            <p className="text-xs text-gray-600 truncate">{preview(t)}</p>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ServiceRequestForm({ onSubmit, onCancel }) {
+  const { t } = useLocale();
+  const [category, setCategory] = useState("housekeeping");
+  const [priority, setPriority] = useState("normal");
+  const [description, setDescription] = useState("");
+  const [photo, setPhoto] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const pickPhoto = (e) => {
+    const file = e.target.files?.[0] || null;
+    setError("");
+    if (file && (!file.type.startsWith("image/") || file.size > MAX_PHOTO_BYTES)) {
+      setError("request.photoError");
+      e.target.value = "";
+      return setPhoto(null);
+    }
+    setPhoto(file);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit({ category, priority, description: description.trim(), photo });
+    } catch (err) {
+      console.error(err);
+      setError("request.failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const field = "w-full border border-gray-300 rounded-lg px-3 py-2 bg-white text-sm";
+  return (
+    <form onSubmit={submit} className="p-3 border-t bg-white space-y-2">
+      <div className="flex gap-2">
+        <select className={field} value={category} onChange={(e) => setCategory(e.target.value)}>
+          {Object.keys(REQUEST_CATEGORIES).map((k) => (<option key={k} value={k}>{t(`request.category.${k}`)}</option>))}
+        </select>
+        <select className={field} value={priority} onChange={(e) => setPriority(e.target.value)}>
+          {Object.keys(REQUEST_PRIORITIES).map((k) => (<option key={k} value={k}>{t(`request.priority.${k}`)}</option>))}
+        </select>
+      </div>
+      <textarea className={field} rows={2} placeholder={t("request.placeholder")} value={description} onChange={(e) => setDescription(e.target.value)} />
+      <input type="file" accept="image/*" capture="environment" onChange={pickPhoto} className="text-xs" />
+      {error && <p className="text-xs text-red-600">{t(error)}</p>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">{t("common.cancel")}</button>
+        <button type="submit" disabled={busy || (!description.trim() && !photo)} className="text-sm px-3 py-1 rounded-lg bg-green-600 text-white hover:bg-green-700 disabled:bg-green-300">{t(busy ? "request.sending" : "request.send")}</button>
+      </div>
+    </form>
+  );
+}
+
+// Staff-only: pick who takes the conversation over and leave them a note the guest never sees
+function HandoffForm({ members, onSubmit, onCancel }) {
+  const [memberId, setMemberId] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const member = members.find((m) => m.id === memberId);
+    if (!member) return;
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit(member, note.trim());
+    } catch (err) {
+      console.error(err);
+      setError("Could not hand off the conversation.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const field = "w-full border border-gray-300 rounded-lg px-3 py-2 bg-white text-sm";
+  return (
+    <form onSubmit={submit} className="p-3 border-b bg-white space-y-2">
+      <select className={field} value={memberId} onChange={(e) => setMemberId(e.target.value)}>
+        <option value="" disabled>Hand off to…</option>
+        {members.map((m) => (
+          <option key={m.id} value={m.id}>{m.name} ({m.role}{m.language?.label ? `, ${m.language.label}` : ""}{m.onDuty ? "" : ", off duty"})</option>
+        ))}
+      </select>
+      <textarea className={field} rows={2} placeholder="Internal note for the next person (not shown to the guest)" value={note} onChange={(e) => setNote(e.target.value)} />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="text-sm px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">Cancel</button>
+        <button type="submit" disabled={busy || !memberId} className="text-sm px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-indigo-300">Hand off</button>
+      </div>
+    </form>
+  );
+}
+
+function AttachmentPreview({ attachment }) {
+  if (attachment.kind === "image") {
+    return (
+      <a href={attachment.url} target="_blank" rel="noreferrer" className="block mb-1">
+        <img src={attachment.thumbUrl || attachment.url} alt={attachment.name} className="rounded-lg max-h-48 w-auto" loading="lazy" />
+      </a>
+    );
+  }
+  return (
+    <a href={attachment.url} target="_blank" rel="noreferrer" className="flex items-center gap-2 mb-1 px-2 py-1 rounded-lg bg-white/70 text-gray-800 underline">
+      📄 <span className="truncate">{attachment.name}</span>
+      <span className="text-[10px] opacity-70 no-underline">{Math.max(1, Math.round(attachment.size / 1024))} KB</span>
+    </a>
+  );
+}
+
+// Automated notices (request status changes etc.) render as a centred line, in the reader's language when we have it
+function SystemNotice({ message, readerLanguage, highlighted }) {
+  const stored = message.translations?.[readerLanguage.code];
+  const text = stored && !isUnavailable(stored) ? stored : message.text;
+  return (
+    <div id={`message-${message.id}`} className="flex justify-center">
+      <p className={`text-[11px] text-gray-600 bg-gray-100 border border-gray-200 rounded-full px-3 py-1 text-center ${highlighted ? "ring-2 ring-yellow-400" : ""}`}>{text}</p>
+    </div>
+  );
+}
+
+// Web Speech API. Dictation is Chrome/Edge/Safari only; speech synthesis is available nearly everywhere.
+const SpeechRecognitionImpl = typeof window !== "undefined" ? window.SpeechRecognition || window.webkitSpeechRecognition : null;
+const canSpeak = typeof window !== "undefined" && "speechSynthesis" in window;
+
+// Reads text aloud in a BCP-47 locale, preferring an installed voice for that exact locale
+function speak(text, langCode) {
+  const synth = window.speechSynthesis;
+  synth.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = langCode;
+  const voices = synth.getVoices();
+  const norm = (l) => String(l).replace("_", "-").toLowerCase();
+  utterance.voice =
+    voices.find((v) => norm(v.lang) === norm(langCode)) ||
+    voices.find((v) => primaryLang(v.lang) === primaryLang(langCode)) ||
+    null;
+  synth.speak(utterance);
+}
+
+// Composer dictation in the speaker's language. Fills the text box rather than sending, so the
+// transcript can be corrected before it's translated.
+function MicButton({ language, onStart, onText }) {
+  const { t } = useLocale();
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState("");
+  const recRef = useRef(null);
+
+  useEffect(() => () => recRef.current?.abort(), []);
+  if (!SpeechRecognitionImpl) return null;
+
+  const toggle = () => {
+    if (listening) return recRef.current?.stop();
+    const rec = new SpeechRecognitionImpl();
+    rec.lang = language.code;
+    rec.interimResults = true;
+    rec.continuous = false;
+    rec.onresult = (e) => onText(Array.from(e.results).map((r) => r[0].transcript).join(""));
+    rec.onerror = (e) => {
+      if (e.error === "no-speech" || e.error === "aborted") return;
+      console.error("Speech recognition error:", e.error);
+      setError(e.error === "not-allowed" ? "chat.micBlocked" : "chat.micFailed");
+    };
+    rec.onend = () => setListening(false);
+    recRef.current = rec;
+    setError("");
+    onStart();
+    rec.start();
+    setListening(true);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={toggle}
+      className={`p-2 rounded-full ${listening ? "bg-red-100 text-red-600 animate-pulse" : error ? "text-red-500 hover:bg-gray-100" : "text-gray-500 hover:text-gray-800 hover:bg-gray-100"}`}
+      aria-label={t(listening ? "chat.stopDictation" : "chat.speak")}
+      title={t(error || (listening ? "chat.listening" : "chat.speakIn"), { language: language.label })}
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" /></svg>
+    </button>
+  );
+}
+
+const pushSupported = () => typeof window !== "undefined" && "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+// VAPID keys are URL-safe base64; PushManager wants raw bytes
+const vapidKeyBytes = (base64) => {
+  const raw = atob((base64 + "=".repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, (c) => c.charCodeAt(0));
+};
+
+// Saves this device's push subscription onto the given user/staff doc, keyed by endpoint
+const savePushSubscription = (db, docPath, sub) => {
+  const { endpoint, keys } = sub.toJSON();
+  const key = endpoint.replace(/[^a-zA-Z0-9]/g, "").slice(-40);
+  return setDoc(doc(db, docPath), { pushSubscriptions: { [key]: { endpoint, keys } } }, { merge: true });
+};
+
+// Bell button that turns on background notifications for this device
+function NotificationToggle({ db, docPath }) {
+  const { t } = useLocale();
+  const [enabled, setEnabled] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // If the device is already subscribed (e.g. another account used it before), attach it to this profile too
+  useEffect(() => {
+    if (!pushSupported() || Notification.permission !== "granted") return;
+    navigator.serviceWorker.ready
+      .then((reg) => reg.pushManager.getSubscription())
+      .then(async (sub) => {
+        if (!sub) return;
+        await savePushSubscription(db, docPath, sub);
+        setEnabled(true);
+      })
+      .catch((err) => console.error("Push subscription check failed:", err));
+  }, [db, docPath]);
+
+  if (!pushSupported() || enabled) return null;
+
+  const enable = async () => {
+    setBusy(true);
+    try {
+      if ((await Notification.requestPermission()) !== "granted") return;
+      const res = await fetch("/api/push");
+      if (!res.ok) throw new Error("Push is not configured");
+      const { publicKey } = await res.json();
+      const reg = await navigator.serviceWorker.ready;
+      const sub = (await reg.pushManager.getSubscription()) || (await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: vapidKeyBytes(publicKey) }));
+      await savePushSubscription(db, docPath, sub);
+      setEnabled(true);
+    } catch (err) {
+      console.error("Enabling notifications failed:", err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button onClick={enable} disabled={busy} className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-50" aria-label={t("chat.notifications")} title={t("chat.notifications")}>
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" /></svg>
+    </button>
+  );
+}
+
+// `highlighted` marks the message a search result jumped to
+function Bubble({ mine, message, readerLanguage, participants, onRetry, onCorrect, mentioned, highlighted }) {
+  const { t } = useLocale();
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [correcting, setCorrecting] = useState(null); // { code, text } while a staff member edits a translation
+  const [correctError, setCorrectError] = useState("");
+  if (message.senderRole === "system") return <SystemNotice message={message} readerLanguage={readerLanguage} highlighted={highlighted} />;
+  const when = message?.timestamp?.toDate ? message.timestamp.toDate() : message.createdAt ? new Date(message.createdAt) : null;
+  const timeLabel = when ? when.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }) : "…";
+
+  const stored = message.language?.code !== readerLanguage.code ? message.translations?.[readerLanguage.code] : null;
+  const unavailable = isUnavailable(stored);
+  const translated = stored && !unavailable ? stored : null;
+  const meta = translated ? message.translationMeta?.[readerLanguage.code] : null;
+
+  const detected = detectedLanguageOf(message);
+  const mismatch = !!detected && !!message.language?.code && primaryLang(detected) !== primaryLang(message.language.code);
+
+  // Receipts from everyone but the sender; names come from the room's presence docs
+  const readers = Object.keys(message.readBy || {}).filter((id) => id !== message.senderId);
+  const receivers = Object.keys(message.deliveredTo || {}).filter((id) => id !== message.senderId);
+  const who = (ids) => ids.map((id) => participants?.[id] || t("bubble.someone")).join(", ");
+
+  // Staff can correct any stored translation; the one they're reading is the natural first pick
+  const correctable = onCorrect ? Object.keys(message.translations || {}) : [];
+  const startCorrecting = () => {
+    const code = correctable.includes(readerLanguage.code) ? readerLanguage.code : correctable[0];
+    const current = message.translations[code];
+    setCorrectError("");
+    setCorrecting({ code, text: isUnavailable(current) ? "" : current });
+  };
+  const saveCorrection = async (e) => {
+    e.preventDefault();
+    if (!correcting.text.trim()) return;
+    try {
+      await onCorrect(message, correcting.code, correcting.text.trim());
+      setCorrecting(null);
+    } catch (err) {
+      console.error(err);
+      setCorrectError(t("bubble.correctFailed"));
+    }
+  };
+
+  const badge = "text-[10px] px-1.5 py-0.5 rounded-full";
+  // Staff notes stand apart from the guest conversation: amber, labelled, and ringed where they mention the reader
+  const note = message.senderRole === "note";
+  const bubbleStyle = note
+    ? `bg-amber-100 text-amber-950 border border-dashed border-amber-400 ${mine ? "rounded-br-none" : "rounded-bl-none"} ${mentioned && !highlighted ? "ring-2 ring-amber-500" : ""}`
+    : mine ? "bg-blue-600 text-white rounded-br-none" : "bg-gray-200 text-gray-800 rounded-bl-none";
+  const shownText = translated && !showOriginal ? translated : message.text;
+  const shownLang = translated && !showOriginal ? readerLanguage.code : message.language?.code || readerLanguage.code;
   return (
-    <div className={`flex ${mine ? "justify-end" : "justify-start"}`}>
-      <div className={`max-w-xs md:max-w-md p-3 rounded-2xl shadow text-sm ${mine ? "bg-blue-600 text-white rounded-br-none" : "bg-gray-200 text-gray-800 rounded-bl-none"}`}>
-        {!mine && (<p className="text-[10px] font-semibold opacity-75 mb-1">{message.senderName || (message.senderRole === "staff" ? "Staff" : "Guest")}</p>)}
-        <p className="whitespace-pre-wrap break-words">{message.text}</p>
-        <div className="text-[10px] opacity-70 text-right mt-1">{timeLabel}</div>
+    <div id={`message-${message.id}`} className={`flex ${mine ? "justify-end" : "justify-start"}`}>
+      <div className={`max-w-xs md:max-w-md p-3 rounded-2xl shadow text-sm ${bubbleStyle} ${highlighted ? "ring-2 ring-yellow-400" : ""}`}>
+        {note ? (
+          <p className="text-[10px] font-semibold opacity-75 mb-1">{t("note.label")}{mine ? "" : ` · ${message.senderName || t("bubble.staff")}`}</p>
+        ) : !mine && (<p className="text-[10px] font-semibold opacity-75 mb-1">{message.senderName || t(message.senderRole === "staff" ? "bubble.staff" : "bubble.guest")}</p>)}
+        {message.attachment && <AttachmentPreview attachment={message.attachment} />}
+        {shownText && <p className="whitespace-pre-wrap break-words">{shownText}</p>}
+        {(translated || unavailable || mismatch) && (
+          <div className="flex flex-wrap items-center gap-1 mt-1">
+            {meta?.provider === "staff" ? (
+              <span className={`${badge} bg-green-100 text-green-800`}>{t("bubble.corrected", { name: meta.correctedByName || t("bubble.staff") })}</span>
+            ) : meta?.provider === "template" ? (
+              <span className={`${badge} bg-green-100 text-green-800`} title={t("bubble.approvedHint")}>{t("bubble.approved")}</span>
+            ) : meta?.provider === "mock" ? (
+              <span className={`${badge} bg-yellow-100 text-yellow-800`} title={t("bubble.notTranslatedHint")}>{t("bubble.notTranslated")}</span>
+            ) : translated ? (
+              <span className={`${badge} bg-white/60 text-gray-700`} title={meta?.confidence != null ? t("bubble.confidence", { percent: Math.round(meta.confidence * 100) }) : undefined}>
+                {t("bubble.machine")}{meta?.provider ? ` · ${meta.provider}` : ""}
+              </span>
+            ) : null}
+            {unavailable && <span className={`${badge} bg-red-100 text-red-700`}>{t("bubble.unavailable")}</span>}
+            {mismatch && (
+              <span className={`${badge} bg-orange-100 text-orange-800`} title={t("bubble.mismatchHint")}>
+                {t("bubble.mismatch", { detected: languageLabel(detected), chosen: message.language.label || message.language.code })}
+              </span>
+            )}
+            {translated && (
+              <button type="button" onClick={() => setShowOriginal((v) => !v)} className="text-[10px] underline opacity-80 hover:opacity-100">
+                {t(showOriginal ? "bubble.showTranslation" : "bubble.showOriginal")}
+              </button>
+            )}
+          </div>
+        )}
+        {correcting && (
+          <form onSubmit={saveCorrection} className="mt-2 space-y-1 text-gray-800">
+            <select className="w-full text-xs border border-gray-300 rounded px-1 py-0.5 bg-white" value={correcting.code} onChange={(e) => setCorrecting({ code: e.target.value, text: isUnavailable(message.translations[e.target.value]) ? "" : message.translations[e.target.value] })}>
+              {correctable.map((code) => (<option key={code} value={code}>{languageLabel(code)}</option>))}
+            </select>
+            <textarea className="w-full text-xs border border-gray-300 rounded px-2 py-1" rows={2} value={correcting.text} onChange={(e) => setCorrecting((c) => ({ ...c, text: e.target.value }))} autoFocus />
+            {correctError && <p className="text-[10px] text-red-600">{correctError}</p>}
+            <div className="flex justify-end gap-1">
+              <button type="button" onClick={() => setCorrecting(null)} className="text-[10px] px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200">{t("common.cancel")}</button>
+              <button type="submit" className="text-[10px] px-2 py-0.5 rounded bg-indigo-600 text-white hover:bg-indigo-700">{t("common.save")}</button>
+            </div>
+          </form>
+        )}
+        <div className="text-[10px] opacity-70 text-right mt-1">
+          {correctable.length > 0 && !correcting && (
+            <button type="button" onClick={startCorrecting} className="mr-1 underline hover:opacity-100">{t("bubble.correct")}</button>
+          )}
+          {canSpeak && shownText && (
+            <button type="button" onClick={() => speak(shownText, shownLang)} className="mr-1 hover:opacity-100" aria-label={t("bubble.readAloud")} title={t("bubble.readAloud")}>🔊</button>
+          )}
+          {timeLabel}
+          {mine && message.deliveryState === "pending" && <span className="ml-1" title={t("bubble.waiting")}>· {t("bubble.sending")}</span>}
+          {mine && message.deliveryState === "sent" && (
+            readers.length ? <span className={`ml-1 font-semibold ${note ? "text-amber-700" : "text-sky-200"}`} title={t("bubble.readBy", { names: who(readers) })}>✓✓</span>
+              : receivers.length ? <span className="ml-1" title={t("bubble.deliveredTo", { names: who(receivers) })}>✓✓</span>
+              : <span className="ml-1" title={t("bubble.sent")}>✓</span>
+          )}
+        </div>
+        {mine && message.deliveryState === "failed" && (
+          <div className="text-[10px] text-right mt-1">
+            <span className="font-semibold">{t("bubble.notSent")}</span>{" "}
+            <button type="button" onClick={() => onRetry?.(message.id)} className="underline">{t("bubble.retry")}</button>
+          </div>
+        )}
       </div>
     </div>
   );
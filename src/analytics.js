@@ -0,0 +1,152 @@
+// Supervisor analytics over a date range of chat messages, live and archived.
+// Response times are measured per conversation (a stay, or a room's current chat): the clock starts at the
+// first guest message nobody has answered yet and stops at the next staff message, which gets the credit.
+
+import { isUnavailable } from "../shared/translation.js";
+
+const BUSIEST_ROOMS = 10;
+
+const toMillis = (t) => (t?.toMillis ? t.toMillis() : typeof t === "number" ? t : null);
+const average = (total, count) => (count ? Math.round(total / count) : null);
+
+// messages: docs from messages and archived_messages; rooms: the room docs, for floor/type
+export function computeAnalytics(messages, rooms = []) {
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, guest: 0, staff: 0 }));
+  const conversations = new Map();
+  const staff = new Map();
+  const languages = new Map();
+  const roomCounts = new Map();
+  const translation = { messages: 0, failed: 0, untranslated: 0 };
+  let guestMessages = 0;
+  let staffMessages = 0;
+
+  for (const m of messages) {
+    const at = toMillis(m.timestamp);
+    if (at == null || (m.senderRole !== "guest" && m.senderRole !== "staff")) continue;
+
+    if (m.senderRole === "guest") guestMessages += 1;
+    else staffMessages += 1;
+    byHour[new Date(at).getHours()][m.senderRole] += 1;
+
+    const room = roomCounts.get(m.roomId) || { roomId: m.roomId, messages: 0, guestMessages: 0 };
+    room.messages += 1;
+    if (m.senderRole === "guest") room.guestMessages += 1;
+    roomCounts.set(m.roomId, room);
+
+    if (m.senderRole === "guest" && m.language?.code) {
+      const lang = languages.get(m.language.code) || { code: m.language.code, label: m.language.label || m.language.code, guests: new Set(), messages: 0 };
+      lang.guests.add(m.senderId);
+      lang.messages += 1;
+      languages.set(m.language.code, lang);
+    }
+
+    // Failed targets are stored as a marker plus the original; "mock" means no provider was configured
+    const targets = Object.keys(m.translations || {});
+    if (targets.length) {
+      translation.messages += 1;
+      if (targets.some((code) => isUnavailable(m.translations[code]))) translation.failed += 1;
+      else if (targets.some((code) => m.translationMeta?.[code]?.provider === "mock")) translation.untranslated += 1;
+    }
+
+    const key = m.stayId || `room:${m.roomId}`;
+    if (!conversations.has(key)) conversations.set(key, []);
+    conversations.get(key).push({ ...m, at });
+  }
+
+  const staffEntry = (m) => {
+    if (!staff.has(m.senderId)) {
+      staff.set(m.senderId, { id: m.senderId, name: m.senderName || "Staff", replies: 0, responseMs: 0, firstResponses: 0, firstResponseMs: 0 });
+    }
+    return staff.get(m.senderId);
+  };
+
+  for (const list of conversations.values()) {
+    list.sort((a, b) => a.at - b.at);
+    let firstGuestAt = null;
+    let waitingSince = null;
+    let answered = false;
+    for (const m of list) {
+      if (m.senderRole === "guest") {
+        if (firstGuestAt == null) firstGuestAt = m.at;
+        if (waitingSince == null) waitingSince = m.at;
+      } else if (waitingSince != null) {
+        const entry = staffEntry(m);
+        entry.replies += 1;
+        entry.responseMs += m.at - waitingSince;
+        if (!answered) {
+          entry.firstResponses += 1;
+          entry.firstResponseMs += m.at - firstGuestAt;
+          answered = true;
+        }
+        waitingSince = null;
+      }
+    }
+  }
+
+  const staffRows = [...staff.values()]
+    .map((s) => ({
+      id: s.id,
+      name: s.name,
+      replies: s.replies,
+      avgResponseMs: average(s.responseMs, s.replies),
+      firstResponses: s.firstResponses,
+      avgFirstResponseMs: average(s.firstResponseMs, s.firstResponses),
+    }))
+    .sort((a, b) => b.replies - a.replies);
+  const sum = (field) => [...staff.values()].reduce((n, s) => n + s[field], 0);
+
+  const roomInfo = new Map(rooms.map((r) => [r.id, r]));
+  return {
+    totals: { messages: guestMessages + staffMessages, guestMessages, staffMessages, conversations: conversations.size },
+    overall: {
+      avgResponseMs: average(sum("responseMs"), sum("replies")),
+      avgFirstResponseMs: average(sum("firstResponseMs"), sum("firstResponses")),
+    },
+    staff: staffRows,
+    byHour,
+    languages: [...languages.values()]
+      .map((l) => ({ code: l.code, label: l.label, guests: l.guests.size, messages: l.messages }))
+      .sort((a, b) => b.messages - a.messages),
+    translation: { ...translation, failureRate: translation.messages ? translation.failed / translation.messages : 0 },
+    rooms: [...roomCounts.values()]
+      .sort((a, b) => b.messages - a.messages)
+      .slice(0, BUSIEST_ROOMS)
+      .map((r) => ({ ...r, floor: roomInfo.get(r.roomId)?.floor || "", type: roomInfo.get(r.roomId)?.type || "" })),
+  };
+}
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const minutes = (ms) => (ms == null ? "" : (ms / 60000).toFixed(1));
+
+// One file with a block per table, separated by blank lines; spreadsheets open it as-is
+export function analyticsCsv(report, { from, to }) {
+  const blocks = [
+    [["Hotel analytics", from, to]],
+    [
+      ["Staff", "Replies", "Avg response (min)", "First responses", "Avg first response (min)"],
+      ...report.staff.map((s) => [s.name, s.replies, minutes(s.avgResponseMs), s.firstResponses, minutes(s.avgFirstResponseMs)]),
+      ["All staff", "", minutes(report.overall.avgResponseMs), "", minutes(report.overall.avgFirstResponseMs)],
+    ],
+    [["Hour", "Guest messages", "Staff messages"], ...report.byHour.map((h) => [h.hour, h.guest, h.staff])],
+    [["Language", "Code", "Guests", "Messages"], ...report.languages.map((l) => [l.label, l.code, l.guests, l.messages])],
+    [
+      ["Translated messages", "Failed", "No provider", "Failure rate (%)"],
+      [report.translation.messages, report.translation.failed, report.translation.untranslated, (report.translation.failureRate * 100).toFixed(1)],
+    ],
+    [["Room", "Floor", "Type", "Messages", "Guest messages"], ...report.rooms.map((r) => [r.roomId, r.floor, r.type, r.messages, r.guestMessages])],
+  ];
+  return blocks.map((rows) => rows.map((row) => row.map(csvCell).join(",")).join("\n")).join("\n\n") + "\n";
+}
+
+export function downloadAnalyticsCsv(report, range) {
+  const blob = new Blob([analyticsCsv(report, range)], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `analytics-${range.from}-to-${range.to}.csv`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
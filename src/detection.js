@@ -0,0 +1,29 @@
+// Language detection on chat messages. /api/translate reports the language each message was really
+// written in (detectedLang), whatever the sender had chosen; this decides what the chat does with it.
+
+const primary = (code) => String(code || "").split(/[-_]/)[0].toLowerCase();
+
+// This many of a guest's messages in a row detected as another offered language prompts a switch
+export const DETECTION_STREAK = 3;
+
+// The provider's guess at what a message was written in. Guest messages store it (detected even when nothing
+// needed translating); otherwise detectedLang describes the source, so any target's metadata will do.
+export const detectedLanguageOf = (m) =>
+  [m.detectedLang, ...Object.values(m.translationMeta || {}).map((x) => x?.detectedLang)].find((l) => l && l !== "unknown");
+
+/**
+ * The offered language to suggest to a guest whose last DETECTION_STREAK messages, written with
+ * `currentLanguage` chosen, were all detected as that other language; null otherwise.
+ * messages: the room's messages; offered: the hotel's guest languages; declined: codes the guest turned down.
+ */
+export function suggestLanguage(messages, { senderId, currentLanguage, offered, declined = [] }) {
+  const recent = messages
+    .filter((m) => m.senderId === senderId && m.language?.code === currentLanguage.code)
+    .map(detectedLanguageOf)
+    .filter(Boolean)
+    .slice(-DETECTION_STREAK);
+  if (recent.length < DETECTION_STREAK || recent.some((l) => primary(l) !== primary(recent[0]))) return null;
+  if (primary(recent[0]) === primary(currentLanguage.code)) return null;
+  const match = offered.find((l) => primary(l.code) === primary(recent[0]));
+  return match && !declined.includes(match.code) ? match : null;
+}
@@ -0,0 +1,17 @@
+// Glossary suggestions for the dashboard's Glossary tab, drawn from staff corrections to stored translations.
+// The glossary itself is applied server-side (api/_lib/glossary.js).
+
+// Phrases of the source that a correction put back verbatim where the machine had translated them,
+// i.e. names the glossary should probably leave alone. Only works for scripts that separate words.
+export const keptPhrases = ({ sourceText, machine, corrected }) => {
+  const words = String(sourceText || "").split(/\s+/).map((w) => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")).filter(Boolean);
+  const kept = [];
+  for (let n = Math.min(4, words.length); n >= 1; n--) {
+    for (let i = 0; i + n <= words.length; i++) {
+      const phrase = words.slice(i, i + n).join(" ");
+      if (phrase.length < 3 || kept.some((k) => k.includes(phrase))) continue;
+      if (corrected.includes(phrase) && !(machine || "").includes(phrase)) kept.push(phrase);
+    }
+  }
+  return kept;
+};
@@ -0,0 +1,773 @@
+// Guest-facing UI strings, one catalog per language we offer, keyed by primary subtag ("ja" for "ja-JP").
+// Missing keys fall back to English, then to the key itself. "{name}" placeholders are filled by t().
+// A language added to LANGUAGES without a catalog shows English until one is written.
+
+const en = {
+  "header.home": "Home",
+  "header.tagline": "Multilingual Guest Messaging",
+  "hotel.title": "Choose your hotel",
+  "hotel.none": "No hotel has been set up yet.",
+  "role.title": "Who are you?",
+  "role.guest": "I am a Guest",
+  "role.staff": "I am Hotel Staff",
+  "register.title": "Guest Registration",
+  "register.name": "Your name",
+  "register.language": "Language",
+  "register.continue": "Continue",
+  "qr.welcome": "Welcome, {name}!",
+  "qr.scan": "Scan the QR code in your room to begin your chat.",
+  "qr.useCamera": "Open your phone's camera and point it at the code — the link will bring you straight back here.",
+  "qr.cameraUnavailable": "Camera unavailable. Open your phone's camera and point it at the code instead.",
+  "qr.lastStay": "View or export your last stay's conversation",
+  "checkin.expired": "This QR code has expired. Please ask the front desk for a new one.",
+  "checkin.invalid": "This QR code is not valid.",
+  "checkin.revoked": "This QR code is no longer valid. Please ask the front desk for a new one.",
+  "error.config": "Missing Firebase configuration.",
+  "error.init": "App initialization failed.",
+  "error.auth": "Authentication failed.",
+  "error.register": "Registration failed.",
+  "error.checkin": "Check-in failed.",
+  "error.checkout": "Checkout failed.",
+  "common.back": "Back",
+  "common.cancel": "Cancel",
+  "common.save": "Save",
+  "chat.room": "Room: {room}",
+  "chat.checkout": "Check Out",
+  "chat.staffOnline": "Staff online",
+  "chat.guestOnline": "Guest online",
+  "chat.placeholder": "Type a message…",
+  "chat.send": "Send",
+  "chat.typing.staff": "Staff is typing…",
+  "chat.typing.guest": "Guest is typing…",
+  "chat.newRequest": "New service request",
+  "chat.attach": "Attach a photo or document",
+  "chat.attachHint": "{name} · add a caption below (optional)",
+  "chat.remove": "Remove",
+  "chat.attachOffline": "Attachments need a connection. Try again when you're back online.",
+  "chat.uploadFailed": "Upload failed. Please try again.",
+  "chat.attachType": "Only photos (JPEG, PNG, WebP) and PDF documents can be attached.",
+  "chat.attachSize": "Attachments must be under 10 MB.",
+  "chat.speak": "Speak a message",
+  "chat.speakIn": "Speak in {language}",
+  "chat.stopDictation": "Stop dictation",
+  "chat.listening": "Listening… tap to stop",
+  "chat.micBlocked": "Microphone access is blocked",
+  "chat.micFailed": "Couldn't hear that, please try again",
+  "chat.notifications": "Enable notifications",
+  "chat.export": "Export transcript with translations",
+  "chat.attachLimits": "Photo or PDF, up to 10 MB",
+  "chat.newRequestHint": "Housekeeping, maintenance or room service",
+  "note.label": "Internal note",
+  "note.toggle": "Internal note (staff only)",
+  "note.placeholder": "Internal note, only staff see it (@ to mention)",
+  "bubble.showOriginal": "Show original",
+  "bubble.showTranslation": "Show translation",
+  "bubble.approved": "Approved translation",
+  "bubble.notTranslated": "Not translated",
+  "bubble.machine": "Machine-translated",
+  "bubble.unavailable": "Translation unavailable",
+  "bubble.mismatch": "Written in {detected}, not {chosen}",
+  "bubble.sending": "Sending…",
+  "bubble.sent": "Sent",
+  "bubble.notSent": "Not sent",
+  "bubble.retry": "Retry",
+  "bubble.readAloud": "Read aloud",
+  "bubble.readBy": "Read by {names}",
+  "bubble.deliveredTo": "Delivered to {names}",
+  "bubble.correctFailed": "Could not save the correction.",
+  "bubble.corrected": "Corrected by {name}",
+  "bubble.correct": "Correct translation",
+  "bubble.staff": "Staff",
+  "bubble.guest": "Guest",
+  "bubble.someone": "someone",
+  "bubble.approvedHint": "Pre-approved translation from the hotel's quick replies",
+  "bubble.notTranslatedHint": "No translation provider was available; this is the original text",
+  "bubble.confidence": "Confidence {percent}%",
+  "bubble.mismatchHint": "The sender's chosen language doesn't match what was detected, so the translation may be wrong",
+  "bubble.waiting": "Waiting for connection",
+  "switch.prompt": "It looks like you're writing in {language}. Switch the chat to {language}?",
+  "switch.yes": "Yes, switch",
+  "switch.no": "No, keep {current}",
+  "switch.device": "Your device is set to {language}. Use {language}?",
+  "request.category.housekeeping": "Housekeeping",
+  "request.category.maintenance": "Maintenance",
+  "request.category.room_service": "Room service",
+  "request.priority.low": "Low",
+  "request.priority.normal": "Normal",
+  "request.priority.urgent": "Urgent",
+  "request.placeholder": "What do you need? (e.g. extra towels, AC not cooling)",
+  "request.photoError": "Please choose an image under 5 MB.",
+  "request.failed": "Could not send your request. Please try again.",
+  "request.send": "Send request",
+  "request.sending": "Sending…",
+  "transcript.empty": "No archived messages for this stay.",
+  "transcript.loadFailed": "Could not load this conversation.",
+  "transcript.title": "Room {room} · {name}",
+  "transcript.inHouse": "in house",
+  "transcript.popupBlocked": "Allow pop-ups to export the transcript as PDF.",
+};
+
+const es = {
+  "header.home": "Inicio",
+  "header.tagline": "Mensajería multilingüe para huéspedes",
+  "hotel.title": "Elija su hotel",
+  "hotel.none": "Todavía no hay ningún hotel configurado.",
+  "role.title": "¿Quién es usted?",
+  "role.guest": "Soy huésped",
+  "role.staff": "Soy personal del hotel",
+  "register.title": "Registro de huésped",
+  "register.name": "Su nombre",
+  "register.language": "Idioma",
+  "register.continue": "Continuar",
+  "qr.welcome": "¡Bienvenido, {name}!",
+  "qr.scan": "Escanee el código QR de su habitación para empezar a chatear.",
+  "qr.useCamera": "Abra la cámara de su teléfono y apúntela al código: el enlace le traerá de vuelta aquí.",
+  "qr.cameraUnavailable": "Cámara no disponible. Abra la cámara de su teléfono y apúntela al código.",
+  "qr.lastStay": "Ver o exportar la conversación de su última estancia",
+  "checkin.expired": "Este código QR ha caducado. Pida uno nuevo en recepción.",
+  "checkin.invalid": "Este código QR no es válido.",
+  "checkin.revoked": "Este código QR ya no es válido. Pida uno nuevo en recepción.",
+  "error.config": "Falta la configuración de Firebase.",
+  "error.init": "No se pudo iniciar la aplicación.",
+  "error.auth": "Error de autenticación.",
+  "error.register": "No se pudo completar el registro.",
+  "error.checkin": "No se pudo registrar la entrada.",
+  "error.checkout": "No se pudo registrar la salida.",
+  "common.back": "Volver",
+  "common.cancel": "Cancelar",
+  "common.save": "Guardar",
+  "chat.room": "Habitación: {room}",
+  "chat.checkout": "Registrar salida",
+  "chat.staffOnline": "Personal en línea",
+  "chat.guestOnline": "Huésped en línea",
+  "chat.placeholder": "Escriba un mensaje…",
+  "chat.send": "Enviar",
+  "chat.typing.staff": "El personal está escribiendo…",
+  "chat.typing.guest": "El huésped está escribiendo…",
+  "chat.newRequest": "Nueva solicitud de servicio",
+  "chat.attach": "Adjuntar una foto o documento",
+  "chat.attachHint": "{name} · añada un comentario abajo (opcional)",
+  "chat.remove": "Quitar",
+  "chat.attachOffline": "Los adjuntos necesitan conexión. Inténtelo de nuevo cuando vuelva a estar en línea.",
+  "chat.uploadFailed": "No se pudo subir el archivo. Inténtelo de nuevo.",
+  "chat.attachType": "Solo se pueden adjuntar fotos (JPEG, PNG, WebP) y documentos PDF.",
+  "chat.attachSize": "Los adjuntos deben ocupar menos de 10 MB.",
+  "chat.speak": "Dictar un mensaje",
+  "chat.speakIn": "Hablar en {language}",
+  "chat.stopDictation": "Detener el dictado",
+  "chat.listening": "Escuchando… toque para parar",
+  "chat.micBlocked": "El acceso al micrófono está bloqueado",
+  "chat.micFailed": "No se ha entendido, inténtelo de nuevo",
+  "chat.notifications": "Activar notificaciones",
+  "chat.export": "Exportar la conversación con las traducciones",
+  "chat.attachLimits": "Foto o PDF, hasta 10 MB",
+  "chat.newRequestHint": "Limpieza, mantenimiento o servicio de habitaciones",
+  "note.label": "Nota interna",
+  "note.toggle": "Nota interna (solo personal)",
+  "note.placeholder": "Nota interna, solo la ve el personal (@ para mencionar)",
+  "bubble.showOriginal": "Ver original",
+  "bubble.showTranslation": "Ver traducción",
+  "bubble.approved": "Traducción aprobada",
+  "bubble.notTranslated": "Sin traducir",
+  "bubble.machine": "Traducción automática",
+  "bubble.unavailable": "Traducción no disponible",
+  "bubble.mismatch": "Escrito en {detected}, no en {chosen}",
+  "bubble.sending": "Enviando…",
+  "bubble.sent": "Enviado",
+  "bubble.notSent": "No enviado",
+  "bubble.retry": "Reintentar",
+  "bubble.readAloud": "Leer en voz alta",
+  "bubble.readBy": "Leído por {names}",
+  "bubble.deliveredTo": "Entregado a {names}",
+  "bubble.correctFailed": "No se pudo guardar la corrección.",
+  "bubble.corrected": "Corregido por {name}",
+  "bubble.correct": "Corregir traducción",
+  "bubble.staff": "Personal",
+  "bubble.guest": "Huésped",
+  "bubble.someone": "alguien",
+  "bubble.approvedHint": "Traducción aprobada de las respuestas rápidas del hotel",
+  "bubble.notTranslatedHint": "No había ningún servicio de traducción disponible; este es el texto original",
+  "bubble.confidence": "Confianza {percent} %",
+  "bubble.mismatchHint": "El idioma elegido por el remitente no coincide con el detectado, así que la traducción puede ser incorrecta",
+  "bubble.waiting": "Esperando conexión",
+  "switch.prompt": "Parece que está escribiendo en {language}. ¿Cambiar el chat a {language}?",
+  "switch.yes": "Sí, cambiar",
+  "switch.no": "No, mantener {current}",
+  "switch.device": "Su dispositivo está en {language}. ¿Usar {language}?",
+  "request.category.housekeeping": "Limpieza",
+  "request.category.maintenance": "Mantenimiento",
+  "request.category.room_service": "Servicio de habitaciones",
+  "request.priority.low": "Baja",
+  "request.priority.normal": "Normal",
+  "request.priority.urgent": "Urgente",
+  "request.placeholder": "¿Qué necesita? (p. ej., más toallas, el aire acondicionado no enfría)",
+  "request.photoError": "Elija una imagen de menos de 5 MB.",
+  "request.failed": "No se pudo enviar su solicitud. Inténtelo de nuevo.",
+  "request.send": "Enviar solicitud",
+  "request.sending": "Enviando…",
+  "transcript.empty": "No hay mensajes archivados de esta estancia.",
+  "transcript.loadFailed": "No se pudo cargar esta conversación.",
+  "transcript.title": "Habitación {room} · {name}",
+  "transcript.inHouse": "alojado",
+  "transcript.popupBlocked": "Permita las ventanas emergentes para exportar la conversación en PDF.",
+};
+
+const fr = {
+  "header.home": "Accueil",
+  "header.tagline": "Messagerie multilingue pour les clients",
+  "hotel.title": "Choisissez votre hôtel",
+  "hotel.none": "Aucun hôtel n'est encore configuré.",
+  "role.title": "Qui êtes-vous ?",
+  "role.guest": "Je suis client",
+  "role.staff": "Je fais partie du personnel",
+  "register.title": "Enregistrement du client",
+  "register.name": "Votre nom",
+  "register.language": "Langue",
+  "register.continue": "Continuer",
+  "qr.welcome": "Bienvenue, {name} !",
+  "qr.scan": "Scannez le code QR de votre chambre pour commencer la discussion.",
+  "qr.useCamera": "Ouvrez l'appareil photo de votre téléphone et visez le code : le lien vous ramènera ici.",
+  "qr.cameraUnavailable": "Caméra indisponible. Ouvrez l'appareil photo de votre téléphone et visez le code.",
+  "qr.lastStay": "Voir ou exporter la conversation de votre dernier séjour",
+  "checkin.expired": "Ce code QR a expiré. Demandez-en un nouveau à la réception.",
+  "checkin.invalid": "Ce code QR n'est pas valide.",
+  "checkin.revoked": "Ce code QR n'est plus valide. Demandez-en un nouveau à la réception.",
+  "error.config": "Configuration Firebase manquante.",
+  "error.init": "Échec du démarrage de l'application.",
+  "error.auth": "Échec de l'authentification.",
+  "error.register": "Échec de l'enregistrement.",
+  "error.checkin": "Échec de l'arrivée.",
+  "error.checkout": "Échec du départ.",
+  "common.back": "Retour",
+  "common.cancel": "Annuler",
+  "common.save": "Enregistrer",
+  "chat.room": "Chambre : {room}",
+  "chat.checkout": "Départ",
+  "chat.staffOnline": "Personnel en ligne",
+  "chat.guestOnline": "Client en ligne",
+  "chat.placeholder": "Écrivez un message…",
+  "chat.send": "Envoyer",
+  "chat.typing.staff": "Le personnel écrit…",
+  "chat.typing.guest": "Le client écrit…",
+  "chat.newRequest": "Nouvelle demande de service",
+  "chat.attach": "Joindre une photo ou un document",
+  "chat.attachHint": "{name} · ajoutez une légende ci-dessous (facultatif)",
+  "chat.remove": "Retirer",
+  "chat.attachOffline": "Les pièces jointes nécessitent une connexion. Réessayez une fois en ligne.",
+  "chat.uploadFailed": "Échec de l'envoi. Veuillez réessayer.",
+  "chat.attachType": "Seules les photos (JPEG, PNG, WebP) et les documents PDF peuvent être joints.",
+  "chat.attachSize": "Les pièces jointes doivent faire moins de 10 Mo.",
+  "chat.speak": "Dicter un message",
+  "chat.speakIn": "Parler en {language}",
+  "chat.stopDictation": "Arrêter la dictée",
+  "chat.listening": "Écoute… touchez pour arrêter",
+  "chat.micBlocked": "L'accès au micro est bloqué",
+  "chat.micFailed": "Je n'ai pas entendu, veuillez réessayer",
+  "chat.notifications": "Activer les notifications",
+  "chat.export": "Exporter la conversation avec les traductions",
+  "chat.attachLimits": "Photo ou PDF, 10 Mo maximum",
+  "chat.newRequestHint": "Ménage, maintenance ou service en chambre",
+  "note.label": "Note interne",
+  "note.toggle": "Note interne (personnel uniquement)",
+  "note.placeholder": "Note interne, visible uniquement par le personnel (@ pour mentionner)",
+  "bubble.showOriginal": "Voir l'original",
+  "bubble.showTranslation": "Voir la traduction",
+  "bubble.approved": "Traduction validée",
+  "bubble.notTranslated": "Non traduit",
+  "bubble.machine": "Traduction automatique",
+  "bubble.unavailable": "Traduction indisponible",
+  "bubble.mismatch": "Écrit en {detected}, pas en {chosen}",
+  "bubble.sending": "Envoi…",
+  "bubble.sent": "Envoyé",
+  "bubble.notSent": "Non envoyé",
+  "bubble.retry": "Réessayer",
+  "bubble.readAloud": "Lire à voix haute",
+  "bubble.readBy": "Lu par {names}",
+  "bubble.deliveredTo": "Remis à {names}",
+  "bubble.correctFailed": "Impossible d'enregistrer la correction.",
+  "bubble.corrected": "Corrigé par {name}",
+  "bubble.correct": "Corriger la traduction",
+  "bubble.staff": "Personnel",
+  "bubble.guest": "Client",
+  "bubble.someone": "quelqu'un",
+  "bubble.approvedHint": "Traduction validée issue des réponses rapides de l'hôtel",
+  "bubble.notTranslatedHint": "Aucun service de traduction n'était disponible ; voici le texte original",
+  "bubble.confidence": "Confiance {percent} %",
+  "bubble.mismatchHint": "La langue choisie par l'expéditeur ne correspond pas à celle détectée : la traduction peut être erronée",
+  "bubble.waiting": "En attente de connexion",
+  "switch.prompt": "Il semble que vous écriviez en {language}. Passer la discussion en {language} ?",
+  "switch.yes": "Oui, changer",
+  "switch.no": "Non, garder {current}",
+  "switch.device": "Votre appareil est en {language}. Utiliser {language} ?",
+  "request.category.housekeeping": "Ménage",
+  "request.category.maintenance": "Maintenance",
+  "request.category.room_service": "Service en chambre",
+  "request.priority.low": "Basse",
+  "request.priority.normal": "Normale",
+  "request.priority.urgent": "Urgente",
+  "request.placeholder": "De quoi avez-vous besoin ? (ex. serviettes supplémentaires, climatisation en panne)",
+  "request.photoError": "Choisissez une image de moins de 5 Mo.",
+  "request.failed": "Impossible d'envoyer votre demande. Veuillez réessayer.",
+  "request.send": "Envoyer la demande",
+  "request.sending": "Envoi…",
+  "transcript.empty": "Aucun message archivé pour ce séjour.",
+  "transcript.loadFailed": "Impossible de charger cette conversation.",
+  "transcript.title": "Chambre {room} · {name}",
+  "transcript.inHouse": "en séjour",
+  "transcript.popupBlocked": "Autorisez les fenêtres pop-up pour exporter la conversation en PDF.",
+};
+
+const de = {
+  "header.home": "Startseite",
+  "header.tagline": "Mehrsprachige Gästekommunikation",
+  "hotel.title": "Wählen Sie Ihr Hotel",
+  "hotel.none": "Es ist noch kein Hotel eingerichtet.",
+  "role.title": "Wer sind Sie?",
+  "role.guest": "Ich bin Gast",
+  "role.staff": "Ich gehöre zum Hotelpersonal",
+  "register.title": "Gästeregistrierung",
+  "register.name": "Ihr Name",
+  "register.language": "Sprache",
+  "register.continue": "Weiter",
+  "qr.welcome": "Willkommen, {name}!",
+  "qr.scan": "Scannen Sie den QR-Code in Ihrem Zimmer, um den Chat zu starten.",
+  "qr.useCamera": "Öffnen Sie die Kamera Ihres Telefons und richten Sie sie auf den Code – der Link bringt Sie direkt hierher zurück.",
+  "qr.cameraUnavailable": "Kamera nicht verfügbar. Öffnen Sie stattdessen die Kamera Ihres Telefons und richten Sie sie auf den Code.",
+  "qr.lastStay": "Unterhaltung Ihres letzten Aufenthalts ansehen oder exportieren",
+  "checkin.expired": "Dieser QR-Code ist abgelaufen. Bitte fragen Sie an der Rezeption nach einem neuen.",
+  "checkin.invalid": "Dieser QR-Code ist ungültig.",
+  "checkin.revoked": "Dieser QR-Code ist nicht mehr gültig. Bitte fragen Sie an der Rezeption nach einem neuen.",
+  "error.config": "Die Firebase-Konfiguration fehlt.",
+  "error.init": "Die App konnte nicht gestartet werden.",
+  "error.auth": "Die Anmeldung ist fehlgeschlagen.",
+  "error.register": "Die Registrierung ist fehlgeschlagen.",
+  "error.checkin": "Der Check-in ist fehlgeschlagen.",
+  "error.checkout": "Der Check-out ist fehlgeschlagen.",
+  "common.back": "Zurück",
+  "common.cancel": "Abbrechen",
+  "common.save": "Speichern",
+  "chat.room": "Zimmer: {room}",
+  "chat.checkout": "Auschecken",
+  "chat.staffOnline": "Personal online",
+  "chat.guestOnline": "Gast online",
+  "chat.placeholder": "Nachricht eingeben…",
+  "chat.send": "Senden",
+  "chat.typing.staff": "Das Personal schreibt…",
+  "chat.typing.guest": "Der Gast schreibt…",
+  "chat.newRequest": "Neue Serviceanfrage",
+  "chat.attach": "Foto oder Dokument anhängen",
+  "chat.attachHint": "{name} · unten eine Beschreibung hinzufügen (optional)",
+  "chat.remove": "Entfernen",
+  "chat.attachOffline": "Für Anhänge wird eine Verbindung benötigt. Versuchen Sie es erneut, wenn Sie wieder online sind.",
+  "chat.uploadFailed": "Hochladen fehlgeschlagen. Bitte versuchen Sie es erneut.",
+  "chat.attachType": "Nur Fotos (JPEG, PNG, WebP) und PDF-Dokumente können angehängt werden.",
+  "chat.attachSize": "Anhänge müssen kleiner als 10 MB sein.",
+  "chat.speak": "Nachricht diktieren",
+  "chat.speakIn": "Auf {language} sprechen",
+  "chat.stopDictation": "Diktat beenden",
+  "chat.listening": "Hört zu… zum Beenden tippen",
+  "chat.micBlocked": "Der Mikrofonzugriff ist blockiert",
+  "chat.micFailed": "Das war nicht zu verstehen, bitte noch einmal",
+  "chat.notifications": "Benachrichtigungen aktivieren",
+  "chat.export": "Unterhaltung mit Übersetzungen exportieren",
+  "chat.attachLimits": "Foto oder PDF, bis 10 MB",
+  "chat.newRequestHint": "Zimmerreinigung, Technik oder Zimmerservice",
+  "note.label": "Interne Notiz",
+  "note.toggle": "Interne Notiz (nur Personal)",
+  "note.placeholder": "Interne Notiz, nur für das Personal sichtbar (@ zum Erwähnen)",
+  "bubble.showOriginal": "Original anzeigen",
+  "bubble.showTranslation": "Übersetzung anzeigen",
+  "bubble.approved": "Geprüfte Übersetzung",
+  "bubble.notTranslated": "Nicht übersetzt",
+  "bubble.machine": "Maschinell übersetzt",
+  "bubble.unavailable": "Übersetzung nicht verfügbar",
+  "bubble.mismatch": "Auf {detected} geschrieben, nicht auf {chosen}",
+  "bubble.sending": "Wird gesendet…",
+  "bubble.sent": "Gesendet",
+  "bubble.notSent": "Nicht gesendet",
+  "bubble.retry": "Erneut versuchen",
+  "bubble.readAloud": "Vorlesen",
+  "bubble.readBy": "Gelesen von {names}",
+  "bubble.deliveredTo": "Zugestellt an {names}",
+  "bubble.correctFailed": "Die Korrektur konnte nicht gespeichert werden.",
+  "bubble.corrected": "Korrigiert von {name}",
+  "bubble.correct": "Übersetzung korrigieren",
+  "bubble.staff": "Personal",
+  "bubble.guest": "Gast",
+  "bubble.someone": "jemandem",
+  "bubble.approvedHint": "Geprüfte Übersetzung aus den Schnellantworten des Hotels",
+  "bubble.notTranslatedHint": "Es war kein Übersetzungsdienst verfügbar; dies ist der Originaltext",
+  "bubble.confidence": "Sicherheit {percent} %",
+  "bubble.mismatchHint": "Die gewählte Sprache des Absenders stimmt nicht mit der erkannten überein, die Übersetzung kann daher falsch sein",
+  "bubble.waiting": "Warte auf Verbindung",
+  "switch.prompt": "Sie schreiben offenbar auf {language}. Chat auf {language} umstellen?",
+  "switch.yes": "Ja, umstellen",
+  "switch.no": "Nein, bei {current} bleiben",
+  "switch.device": "Ihr Gerät ist auf {language} eingestellt. {language} verwenden?",
+  "request.category.housekeeping": "Zimmerreinigung",
+  "request.category.maintenance": "Technik",
+  "request.category.room_service": "Zimmerservice",
+  "request.priority.low": "Niedrig",
+  "request.priority.normal": "Normal",
+  "request.priority.urgent": "Dringend",
+  "request.placeholder": "Was brauchen Sie? (z. B. zusätzliche Handtücher, Klimaanlage kühlt nicht)",
+  "request.photoError": "Bitte wählen Sie ein Bild unter 5 MB.",
+  "request.failed": "Ihre Anfrage konnte nicht gesendet werden. Bitte versuchen Sie es erneut.",
+  "request.send": "Anfrage senden",
+  "request.sending": "Wird gesendet…",
+  "transcript.empty": "Keine archivierten Nachrichten für diesen Aufenthalt.",
+  "transcript.loadFailed": "Diese Unterhaltung konnte nicht geladen werden.",
+  "transcript.title": "Zimmer {room} · {name}",
+  "transcript.inHouse": "im Haus",
+  "transcript.popupBlocked": "Erlauben Sie Pop-ups, um die Unterhaltung als PDF zu exportieren.",
+};
+
+const ja = {
+  "header.home": "ホーム",
+  "header.tagline": "多言語ゲストメッセージ",
+  "hotel.title": "ホテルを選択してください",
+  "hotel.none": "ホテルがまだ設定されていません。",
+  "role.title": "どちら様ですか？",
+  "role.guest": "宿泊客です",
+  "role.staff": "ホテルスタッフです",
+  "register.title": "ゲスト登録",
+  "register.name": "お名前",
+  "register.language": "言語",
+  "register.continue": "次へ",
+  "qr.welcome": "ようこそ、{name}様！",
+  "qr.scan": "お部屋のQRコードをスキャンしてチャットを始めてください。",
+  "qr.useCamera": "スマートフォンのカメラを起動してコードに向けてください。リンクからこの画面に戻ります。",
+  "qr.cameraUnavailable": "カメラを利用できません。スマートフォンのカメラをコードに向けてください。",
+  "qr.lastStay": "前回のご滞在の会話を表示・書き出し",
+  "checkin.expired": "このQRコードは有効期限が切れています。フロントで新しいコードをお受け取りください。",
+  "checkin.invalid": "このQRコードは無効です。",
+  "checkin.revoked": "このQRコードは現在ご利用いただけません。フロントで新しいコードをお受け取りください。",
+  "error.config": "Firebaseの設定がありません。",
+  "error.init": "アプリを起動できませんでした。",
+  "error.auth": "認証に失敗しました。",
+  "error.register": "登録に失敗しました。",
+  "error.checkin": "チェックインに失敗しました。",
+  "error.checkout": "チェックアウトに失敗しました。",
+  "common.back": "戻る",
+  "common.cancel": "キャンセル",
+  "common.save": "保存",
+  "chat.room": "部屋: {room}",
+  "chat.checkout": "チェックアウト",
+  "chat.staffOnline": "スタッフ オンライン",
+  "chat.guestOnline": "ゲスト オンライン",
+  "chat.placeholder": "メッセージを入力…",
+  "chat.send": "送信",
+  "chat.typing.staff": "スタッフが入力中…",
+  "chat.typing.guest": "ゲストが入力中…",
+  "chat.newRequest": "新しいサービスリクエスト",
+  "chat.attach": "写真または書類を添付",
+  "chat.attachHint": "{name} · 下にコメントを追加できます（任意）",
+  "chat.remove": "削除",
+  "chat.attachOffline": "添付には接続が必要です。オンラインに戻ってから再度お試しください。",
+  "chat.uploadFailed": "アップロードに失敗しました。もう一度お試しください。",
+  "chat.attachType": "添付できるのは写真（JPEG、PNG、WebP）とPDF書類のみです。",
+  "chat.attachSize": "添付ファイルは10MB未満にしてください。",
+  "chat.speak": "音声でメッセージを入力",
+  "chat.speakIn": "{language}で話す",
+  "chat.stopDictation": "音声入力を停止",
+  "chat.listening": "聞き取り中… タップで停止",
+  "chat.micBlocked": "マイクへのアクセスがブロックされています",
+  "chat.micFailed": "聞き取れませんでした。もう一度お試しください",
+  "chat.notifications": "通知を有効にする",
+  "chat.export": "翻訳付きで会話を書き出す",
+  "chat.attachLimits": "写真またはPDF（10MBまで）",
+  "chat.newRequestHint": "客室清掃、修理・点検、ルームサービス",
+  "note.label": "社内メモ",
+  "note.toggle": "社内メモ（スタッフのみ）",
+  "note.placeholder": "社内メモ。スタッフにのみ表示されます（@でメンション）",
+  "bubble.showOriginal": "原文を表示",
+  "bubble.showTranslation": "翻訳を表示",
+  "bubble.approved": "確認済みの翻訳",
+  "bubble.notTranslated": "未翻訳",
+  "bubble.machine": "機械翻訳",
+  "bubble.unavailable": "翻訳できませんでした",
+  "bubble.mismatch": "{chosen}ではなく{detected}で書かれています",
+  "bubble.sending": "送信中…",
+  "bubble.sent": "送信済み",
+  "bubble.notSent": "未送信",
+  "bubble.retry": "再試行",
+  "bubble.readAloud": "読み上げ",
+  "bubble.readBy": "{names}が既読",
+  "bubble.deliveredTo": "{names}に配信済み",
+  "bubble.correctFailed": "修正を保存できませんでした。",
+  "bubble.corrected": "{name}が修正",
+  "bubble.correct": "翻訳を修正",
+  "bubble.staff": "スタッフ",
+  "bubble.guest": "ゲスト",
+  "bubble.someone": "誰か",
+  "bubble.approvedHint": "ホテルのクイック返信の確認済み翻訳です",
+  "bubble.notTranslatedHint": "翻訳サービスを利用できなかったため、原文を表示しています",
+  "bubble.confidence": "信頼度 {percent}%",
+  "bubble.mismatchHint": "送信者が選んだ言語と検出された言語が異なるため、翻訳が正しくない可能性があります",
+  "bubble.waiting": "接続を待っています",
+  "switch.prompt": "{language}で入力されているようです。チャットを{language}に切り替えますか？",
+  "switch.yes": "はい、切り替えます",
+  "switch.no": "いいえ、{current}のままにする",
+  "switch.device": "お使いの端末は{language}に設定されています。{language}を使用しますか？",
+  "request.category.housekeeping": "客室清掃",
+  "request.category.maintenance": "修理・点検",
+  "request.category.room_service": "ルームサービス",
+  "request.priority.low": "低",
+  "request.priority.normal": "通常",
+  "request.priority.urgent": "緊急",
+  "request.placeholder": "ご用件をお書きください（例：タオルの追加、エアコンが効かない）",
+  "request.photoError": "5MB未満の画像を選択してください。",
+  "request.failed": "リクエストを送信できませんでした。もう一度お試しください。",
+  "request.send": "リクエストを送信",
+  "request.sending": "送信中…",
+  "transcript.empty": "このご滞在のアーカイブ済みメッセージはありません。",
+  "transcript.loadFailed": "この会話を読み込めませんでした。",
+  "transcript.title": "{room}号室 · {name}",
+  "transcript.inHouse": "滞在中",
+  "transcript.popupBlocked": "PDFで書き出すにはポップアップを許可してください。",
+};
+
+const hi = {
+  "header.home": "होम",
+  "header.tagline": "बहुभाषी अतिथि संदेश सेवा",
+  "hotel.title": "अपना होटल चुनें",
+  "hotel.none": "अभी तक कोई होटल सेट अप नहीं किया गया है।",
+  "role.title": "आप कौन हैं?",
+  "role.guest": "मैं अतिथि हूँ",
+  "role.staff": "मैं होटल स्टाफ़ हूँ",
+  "register.title": "अतिथि पंजीकरण",
+  "register.name": "आपका नाम",
+  "register.language": "भाषा",
+  "register.continue": "आगे बढ़ें",
+  "qr.welcome": "स्वागत है, {name}!",
+  "qr.scan": "चैट शुरू करने के लिए अपने कमरे का QR कोड स्कैन करें।",
+  "qr.useCamera": "अपने फ़ोन का कैमरा खोलें और उसे कोड की ओर रखें — लिंक आपको सीधे यहाँ वापस ले आएगा।",
+  "qr.cameraUnavailable": "कैमरा उपलब्ध नहीं है। इसके बजाय अपने फ़ोन का कैमरा खोलकर कोड की ओर रखें।",
+  "qr.lastStay": "अपने पिछले प्रवास की बातचीत देखें या निर्यात करें",
+  "checkin.expired": "इस QR कोड की समय-सीमा समाप्त हो गई है। कृपया फ्रंट डेस्क से नया कोड लें।",
+  "checkin.invalid": "यह QR कोड मान्य नहीं है।",
+  "checkin.revoked": "यह QR कोड अब मान्य नहीं है। कृपया फ्रंट डेस्क से नया कोड लें।",
+  "error.config": "Firebase कॉन्फ़िगरेशन मौजूद नहीं है।",
+  "error.init": "ऐप शुरू नहीं हो सका।",
+  "error.auth": "प्रमाणीकरण विफल रहा।",
+  "error.register": "पंजीकरण विफल रहा।",
+  "error.checkin": "चेक-इन विफल रहा।",
+  "error.checkout": "चेक-आउट विफल रहा।",
+  "common.back": "वापस",
+  "common.cancel": "रद्द करें",
+  "common.save": "सहेजें",
+  "chat.room": "कमरा: {room}",
+  "chat.checkout": "चेक आउट",
+  "chat.staffOnline": "स्टाफ़ ऑनलाइन",
+  "chat.guestOnline": "अतिथि ऑनलाइन",
+  "chat.placeholder": "संदेश लिखें…",
+  "chat.send": "भेजें",
+  "chat.typing.staff": "स्टाफ़ टाइप कर रहा है…",
+  "chat.typing.guest": "अतिथि टाइप कर रहे हैं…",
+  "chat.newRequest": "नया सेवा अनुरोध",
+  "chat.attach": "फ़ोटो या दस्तावेज़ संलग्न करें",
+  "chat.attachHint": "{name} · नीचे विवरण जोड़ें (वैकल्पिक)",
+  "chat.remove": "हटाएँ",
+  "chat.attachOffline": "संलग्नक भेजने के लिए इंटरनेट कनेक्शन ज़रूरी है। ऑनलाइन होने पर फिर से कोशिश करें।",
+  "chat.uploadFailed": "अपलोड विफल रहा। कृपया फिर से कोशिश करें।",
+  "chat.attachType": "केवल फ़ोटो (JPEG, PNG, WebP) और PDF दस्तावेज़ संलग्न किए जा सकते हैं।",
+  "chat.attachSize": "संलग्नक 10 MB से छोटे होने चाहिए।",
+  "chat.speak": "बोलकर संदेश लिखें",
+  "chat.speakIn": "{language} में बोलें",
+  "chat.stopDictation": "बोलकर लिखना बंद करें",
+  "chat.listening": "सुन रहे हैं… रोकने के लिए टैप करें",
+  "chat.micBlocked": "माइक्रोफ़ोन की अनुमति बंद है",
+  "chat.micFailed": "सुनाई नहीं दिया, कृपया फिर से कोशिश करें",
+  "chat.notifications": "सूचनाएँ चालू करें",
+  "chat.export": "अनुवाद सहित बातचीत निर्यात करें",
+  "chat.attachLimits": "फ़ोटो या PDF, 10 MB तक",
+  "chat.newRequestHint": "हाउसकीपिंग, रखरखाव या रूम सर्विस",
+  "note.label": "आंतरिक नोट",
+  "note.toggle": "आंतरिक नोट (केवल स्टाफ़)",
+  "note.placeholder": "आंतरिक नोट, केवल स्टाफ़ देख सकता है (उल्लेख के लिए @)",
+  "bubble.showOriginal": "मूल देखें",
+  "bubble.showTranslation": "अनुवाद देखें",
+  "bubble.approved": "स्वीकृत अनुवाद",
+  "bubble.notTranslated": "अनुवाद नहीं हुआ",
+  "bubble.machine": "मशीन अनुवाद",
+  "bubble.unavailable": "अनुवाद उपलब्ध नहीं",
+  "bubble.mismatch": "{chosen} नहीं, {detected} में लिखा गया",
+  "bubble.sending": "भेजा जा रहा है…",
+  "bubble.sent": "भेजा गया",
+  "bubble.notSent": "नहीं भेजा गया",
+  "bubble.retry": "फिर से कोशिश करें",
+  "bubble.readAloud": "पढ़कर सुनाएँ",
+  "bubble.readBy": "{names} ने पढ़ा",
+  "bubble.deliveredTo": "{names} तक पहुँचा",
+  "bubble.correctFailed": "सुधार सहेजा नहीं जा सका।",
+  "bubble.corrected": "{name} द्वारा सुधारा गया",
+  "bubble.correct": "अनुवाद सुधारें",
+  "bubble.staff": "स्टाफ़",
+  "bubble.guest": "अतिथि",
+  "bubble.someone": "कोई",
+  "bubble.approvedHint": "होटल के त्वरित उत्तरों से स्वीकृत अनुवाद",
+  "bubble.notTranslatedHint": "कोई अनुवाद सेवा उपलब्ध नहीं थी; यह मूल पाठ है",
+  "bubble.confidence": "विश्वसनीयता {percent}%",
+  "bubble.mismatchHint": "भेजने वाले की चुनी गई भाषा पहचानी गई भाषा से मेल नहीं खाती, इसलिए अनुवाद गलत हो सकता है",
+  "bubble.waiting": "कनेक्शन की प्रतीक्षा है",
+  "switch.prompt": "लगता है आप {language} में लिख रहे हैं। क्या चैट को {language} में बदलें?",
+  "switch.yes": "हाँ, बदलें",
+  "switch.no": "नहीं, {current} ही रखें",
+  "switch.device": "आपका डिवाइस {language} पर सेट है। क्या {language} का उपयोग करें?",
+  "request.category.housekeeping": "हाउसकीपिंग",
+  "request.category.maintenance": "रखरखाव",
+  "request.category.room_service": "रूम सर्विस",
+  "request.priority.low": "कम",
+  "request.priority.normal": "सामान्य",
+  "request.priority.urgent": "अत्यावश्यक",
+  "request.placeholder": "आपको क्या चाहिए? (जैसे अतिरिक्त तौलिये, एसी ठंडा नहीं कर रहा)",
+  "request.photoError": "कृपया 5 MB से छोटी तस्वीर चुनें।",
+  "request.failed": "आपका अनुरोध नहीं भेजा जा सका। कृपया फिर से कोशिश करें।",
+  "request.send": "अनुरोध भेजें",
+  "request.sending": "भेजा जा रहा है…",
+  "transcript.empty": "इस प्रवास के लिए कोई संग्रहीत संदेश नहीं है।",
+  "transcript.loadFailed": "यह बातचीत लोड नहीं हो सकी।",
+  "transcript.title": "कमरा {room} · {name}",
+  "transcript.inHouse": "ठहरे हुए",
+  "transcript.popupBlocked": "PDF के रूप में निर्यात करने के लिए पॉप-अप की अनुमति दें।",
+};
+
+const zh = {
+  "header.home": "首页",
+  "header.tagline": "多语言住客消息",
+  "hotel.title": "请选择您的酒店",
+  "hotel.none": "尚未设置任何酒店。",
+  "role.title": "请问您是？",
+  "role.guest": "我是住客",
+  "role.staff": "我是酒店员工",
+  "register.title": "住客登记",
+  "register.name": "您的姓名",
+  "register.language": "语言",
+  "register.continue": "继续",
+  "qr.welcome": "欢迎您，{name}！",
+  "qr.scan": "请扫描房间内的二维码开始聊天。",
+  "qr.useCamera": "请打开手机相机对准二维码，链接会直接带您回到这里。",
+  "qr.cameraUnavailable": "无法使用摄像头。请改用手机相机对准二维码。",
+  "qr.lastStay": "查看或导出上次入住的对话",
+  "checkin.expired": "此二维码已过期，请向前台索取新的二维码。",
+  "checkin.invalid": "此二维码无效。",
+  "checkin.revoked": "此二维码已失效，请向前台索取新的二维码。",
+  "error.config": "缺少 Firebase 配置。",
+  "error.init": "应用启动失败。",
+  "error.auth": "身份验证失败。",
+  "error.register": "登记失败。",
+  "error.checkin": "入住失败。",
+  "error.checkout": "退房失败。",
+  "common.back": "返回",
+  "common.cancel": "取消",
+  "common.save": "保存",
+  "chat.room": "房间：{room}",
+  "chat.checkout": "退房",
+  "chat.staffOnline": "员工在线",
+  "chat.guestOnline": "住客在线",
+  "chat.placeholder": "输入消息…",
+  "chat.send": "发送",
+  "chat.typing.staff": "工作人员正在输入…",
+  "chat.typing.guest": "客人正在输入…",
+  "chat.newRequest": "新的服务请求",
+  "chat.attach": "添加照片或文件",
+  "chat.attachHint": "{name} · 可在下方添加说明（可选）",
+  "chat.remove": "移除",
+  "chat.attachOffline": "发送附件需要网络连接，请在恢复网络后重试。",
+  "chat.uploadFailed": "上传失败，请重试。",
+  "chat.attachType": "只能添加照片（JPEG、PNG、WebP）和 PDF 文件。",
+  "chat.attachSize": "附件必须小于 10 MB。",
+  "chat.speak": "语音输入消息",
+  "chat.speakIn": "用{language}说话",
+  "chat.stopDictation": "停止语音输入",
+  "chat.listening": "正在聆听… 点击停止",
+  "chat.micBlocked": "麦克风权限已被阻止",
+  "chat.micFailed": "没有听清，请再试一次",
+  "chat.notifications": "开启通知",
+  "chat.export": "导出含翻译的对话",
+  "chat.attachLimits": "照片或 PDF，不超过 10 MB",
+  "chat.newRequestHint": "客房清洁、维修或客房送餐",
+  "note.label": "内部备注",
+  "note.toggle": "内部备注（仅限员工）",
+  "note.placeholder": "内部备注，仅员工可见（输入 @ 提及同事）",
+  "bubble.showOriginal": "查看原文",
+  "bubble.showTranslation": "查看译文",
+  "bubble.approved": "已审核译文",
+  "bubble.notTranslated": "未翻译",
+  "bubble.machine": "机器翻译",
+  "bubble.unavailable": "无法翻译",
+  "bubble.mismatch": "实际使用{detected}书写，而非{chosen}",
+  "bubble.sending": "发送中…",
+  "bubble.sent": "已发送",
+  "bubble.notSent": "未发送",
+  "bubble.retry": "重试",
+  "bubble.readAloud": "朗读",
+  "bubble.readBy": "{names} 已读",
+  "bubble.deliveredTo": "已送达 {names}",
+  "bubble.correctFailed": "无法保存更正。",
+  "bubble.corrected": "由 {name} 更正",
+  "bubble.correct": "更正译文",
+  "bubble.staff": "员工",
+  "bubble.guest": "住客",
+  "bubble.someone": "某人",
+  "bubble.approvedHint": "来自酒店快捷回复的已审核译文",
+  "bubble.notTranslatedHint": "没有可用的翻译服务，这是原文",
+  "bubble.confidence": "置信度 {percent}%",
+  "bubble.mismatchHint": "发送者选择的语言与检测到的语言不符，译文可能有误",
+  "bubble.waiting": "正在等待网络连接",
+  "switch.prompt": "您似乎在用{language}输入。要将聊天切换为{language}吗？",
+  "switch.yes": "是，切换",
+  "switch.no": "不，继续使用{current}",
+  "switch.device": "您的设备语言为{language}。要使用{language}吗？",
+  "request.category.housekeeping": "客房清洁",
+  "request.category.maintenance": "维修",
+  "request.category.room_service": "客房送餐",
+  "request.priority.low": "低",
+  "request.priority.normal": "普通",
+  "request.priority.urgent": "紧急",
+  "request.placeholder": "您需要什么？（例如：加毛巾、空调不制冷）",
+  "request.photoError": "请选择小于 5 MB 的图片。",
+  "request.failed": "无法发送您的请求，请重试。",
+  "request.send": "发送请求",
+  "request.sending": "发送中…",
+  "transcript.empty": "此次入住没有已归档的消息。",
+  "transcript.loadFailed": "无法加载此对话。",
+  "transcript.title": "房间 {room} · {name}",
+  "transcript.inHouse": "在住",
+  "transcript.popupBlocked": "请允许弹出窗口以导出 PDF。",
+};
+
+export const CATALOGS = { en, es, fr, de, ja, hi, zh };
+
+// Scripts written right to left; the layout flips when the UI language is one of these
+const RTL_LANGUAGES = ["ar", "he", "fa", "ur"];
+
+const primary = (code) => String(code || "").split(/[-_]/)[0].toLowerCase();
+
+export const isRtl = (code) => RTL_LANGUAGES.includes(primary(code));
+
+export function translator(code) {
+  const catalog = CATALOGS[primary(code)] || en;
+  return (key, vars = {}) =>
+    (catalog[key] ?? en[key] ?? key).replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+// A language's name written in another language ("español" for es in es); falls back to the code
+export function languageName(code, inLanguage) {
+  try {
+    return new Intl.DisplayNames([inLanguage], { type: "language" }).of(primary(code)) || code;
+  } catch {
+    return code;
+  }
+}
+
+// First of the browser's preferred languages we offer: exact locale first, then the primary subtag
+export function detectLanguage(preferred, available) {
+  for (const wanted of preferred.filter(Boolean)) {
+    const exact = available.find((l) => l.code.toLowerCase() === wanted.toLowerCase());
+    if (exact) return exact;
+    const partial = available.find((l) => primary(l.code) === primary(wanted));
+    if (partial) return partial;
+  }
+  return null;
+}
@@ -0,0 +1,19 @@
+// @mentions in staff notes, matched against the hotel's staff names.
+
+// Ids of the staff a note mentions. Each "@" takes the longest whole name that follows it, so "@Ana Ruiz"
+// notifies Ana Ruiz and not also Ana; among namesakes, the one picked from the suggestions wins.
+export function mentionsIn(body, members, picked = []) {
+  const lower = body.toLowerCase();
+  const named = members
+    .filter((m) => m.name)
+    .sort((a, b) => b.name.length - a.name.length || picked.includes(b.id) - picked.includes(a.id));
+  const ids = new Set();
+  for (let at = lower.indexOf("@"); at >= 0; at = lower.indexOf("@", at + 1)) {
+    const match = named.find((m) => {
+      const name = m.name.toLowerCase();
+      return lower.startsWith(name, at + 1) && !/[\p{L}\p{N}]/u.test(lower.charAt(at + 1 + name.length));
+    });
+    if (match) ids.add(match.id);
+  }
+  return [...ids];
+}
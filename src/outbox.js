@@ -0,0 +1,38 @@
+// Local outbox for chat messages that haven't reached Firestore yet.
+// Hotel Wi-Fi drops out in corridors and lifts, so a send is queued here first and delivered
+// (translation included) once we're online. Entries survive reloads via localStorage.
+//
+// Entry: { id, roomId, text, language, createdAt, status: 'pending' | 'failed', attempts,
+//          preset?: { [code]: reviewed translation }, templateId?, note?: true, mentions?: [staff id] }
+// `id` doubles as the Firestore message id, so a retried delivery overwrites instead of duplicating.
+
+export const MAX_ATTEMPTS = 3;
+
+const storageKey = (appId, userId) => `hotelconnect:outbox:${appId}:${userId}`;
+
+export function loadOutbox(appId, userId) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(appId, userId))) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveOutbox(appId, userId, entries) {
+  try {
+    if (entries.length) localStorage.setItem(storageKey(appId, userId), JSON.stringify(entries));
+    else localStorage.removeItem(storageKey(appId, userId));
+  } catch (err) {
+    console.error("Failed to persist outbox:", err);
+  }
+}
+
+// What browsers say when fetch() never got a response (Chrome, Firefox, Safari, Node)
+const FETCH_FAILURE = /failed to fetch|networkerror|load failed|fetch failed|network request failed/i;
+
+// Only connectivity problems are worth waiting out; anything else (a rules denial, a bug) should use up the
+// entry's attempts and surface as failed rather than block the queue forever.
+export const isNetworkError = (err) =>
+  err?.code === "unavailable" ||
+  (err instanceof TypeError && FETCH_FAILURE.test(err.message)) ||
+  (typeof navigator !== "undefined" && navigator.onLine === false);
@@ -0,0 +1,86 @@
+// Room inventory import for the admin's Rooms screen.
+// Inventories usually come out of a spreadsheet or the PMS, so the CSV may be Excel-flavoured: a byte-order
+// mark, CRLF line endings, quoted cells (with commas, doubled quotes or line breaks inside) and blank lines.
+
+export const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+// RFC 4180 records as arrays of trimmed cells, each with the line it starts on (for error messages).
+// Blank lines are dropped.
+function records(text) {
+  const out = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endCell = () => {
+    cells.push(cell.trim());
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    if (cells.some((c) => c !== "")) out.push({ line: start, cells });
+    cells = [];
+    start = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === "") {
+      cell = "";
+      quoted = true;
+    } else if (ch === ",") endCell();
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else cell += ch;
+  }
+  endRecord();
+  return out;
+}
+
+/**
+ * Parses a CSV with a header row: room (required), floor, type, out_of_order. Returns { rows, errors };
+ * rows only carry outOfOrder when the CSV has that column, so re-importing an inventory keeps rooms'
+ * current state. A room listed twice is an error rather than a silent overwrite.
+ */
+export function parseRoomsCsv(text) {
+  const [head, ...body] = records(String(text || "").replace(/^\uFEFF/, ""));
+  const header = (head?.cells || []).map((h) => h.toLowerCase().replace(/[\s-]+/g, "_"));
+  const col = (name) => header.indexOf(name);
+  if (col("room") < 0) return { rows: [], errors: ['The first line must be a header with a "room" column.'] };
+
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { line, cells } of body) {
+    const cell = (name) => (col(name) >= 0 ? cells[col(name)] || "" : "");
+    const id = cell("room");
+    if (!ROOM_ID_PATTERN.test(id)) {
+      errors.push(`Line ${line}: "${id}" is not a valid room number.`);
+      continue;
+    }
+    if (seen.has(id)) {
+      errors.push(`Line ${line}: room ${id} is already listed on line ${seen.get(id)}.`);
+      continue;
+    }
+    seen.set(id, line);
+    rows.push({
+      id,
+      floor: cell("floor") || (/^\d{3,}$/.test(id) ? id.slice(0, -2) : ""),
+      type: cell("type"),
+      ...(col("out_of_order") >= 0 ? { outOfOrder: /^(1|y|yes|true)$/i.test(cell("out_of_order")) } : {}),
+    });
+  }
+  return { rows, errors };
+}
@@ -0,0 +1,105 @@
+// Staff message search over live and archived conversations.
+// Firestore has no full-text search, so the dashboard loads a date range of messages (as analytics does) and
+// matches here: every word of the query must appear in one version of a message, either the original or a
+// stored translation, ignoring case and accents. That lets staff search in their own language.
+
+import { isUnavailable } from "../shared/translation.js";
+
+const SNIPPET_RADIUS = 60;
+export const MAX_RESULTS = 200;
+
+const toMillis = (t) => (t?.toMillis ? t.toMillis() : typeof t === "number" ? t : 0);
+
+// Case- and accent-insensitive form, plus where each of its characters came from in the original,
+// so a hit can be cut out of the text the reader actually sees
+function fold(text) {
+  let folded = "";
+  const origin = [];
+  for (let i = 0; i < text.length; ) {
+    const ch = String.fromCodePoint(text.codePointAt(i));
+    const part = ch.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+    for (let k = 0; k < part.length; k++) origin.push(i);
+    folded += part;
+    i += ch.length;
+  }
+  origin.push(text.length);
+  return { folded, origin };
+}
+
+export const foldText = (text) => fold(String(text || "")).folded;
+
+// The original first, then every translation that isn't a failure marker
+function versions(m) {
+  const out = [{ code: m.language?.code || null, text: m.text || "", original: true }];
+  for (const [code, t] of Object.entries(m.translations || {})) {
+    if (t && !isUnavailable(t)) out.push({ code, text: t, original: false });
+  }
+  return out;
+}
+
+// { before, match, after } around the first term's first hit
+function snippet(text, { folded, origin }, term) {
+  const at = folded.indexOf(term);
+  const start = origin[at];
+  const end = origin[at + term.length];
+  const from = Math.max(0, start - SNIPPET_RADIUS);
+  const to = Math.min(text.length, end + SNIPPET_RADIUS);
+  return {
+    before: (from > 0 ? "…" : "") + text.slice(from, start),
+    match: text.slice(start, end),
+    after: text.slice(end, to) + (to < text.length ? "…" : ""),
+  };
+}
+
+/**
+ * messages: docs from messages and archived_messages, each tagged with `source` ("live" | "archived");
+ * rooms: room docs, for the guest names of live conversations.
+ * filters: { text, roomId, guestName, role }, all optional; readerLang: the searcher's language code,
+ * whose translation is shown when it matches. Returns at most MAX_RESULTS hits, newest first:
+ * { message, guestName, code, original, snippet }.
+ */
+export function searchMessages(messages, rooms, filters, readerLang) {
+  const terms = foldText(filters.text).split(/\s+/).filter(Boolean);
+  const guestNeedle = foldText(filters.guestName).trim();
+
+  // A conversation (stay, or a room's current chat) is named after its guest
+  const guestNames = new Map();
+  const addName = (key, name) => {
+    if (!name) return;
+    if (!guestNames.has(key)) guestNames.set(key, new Set());
+    guestNames.get(key).add(name);
+  };
+  const conversationOf = (m) => (m.stayId ? `stay:${m.stayId}` : `room:${m.roomId}`);
+  const roomGuests = new Map(rooms.map((r) => [r.id, r]));
+  for (const m of messages) {
+    if (m.senderRole === "guest") addName(conversationOf(m), m.senderName);
+    if (m.source === "live") addName(conversationOf(m), roomGuests.get(m.roomId)?.guestName);
+  }
+
+  const hits = [];
+  for (const m of messages) {
+    if (filters.roomId && m.roomId !== filters.roomId) continue;
+    if (filters.role && m.senderRole !== filters.role) continue;
+    const names = [...(guestNames.get(conversationOf(m)) || [])];
+    if (guestNeedle && !names.some((n) => foldText(n).includes(guestNeedle))) continue;
+
+    let best = null;
+    for (const v of versions(m)) {
+      const index = fold(v.text);
+      if (!terms.every((t) => index.folded.includes(t))) continue;
+      // The reader's own language wins, then the original
+      const rank = v.code === readerLang ? 0 : v.original ? 1 : 2;
+      if (!best || rank < best.rank) best = { ...v, index, rank };
+    }
+    if (!best) continue;
+    hits.push({
+      message: m,
+      guestName: names.join(", "),
+      code: best.code,
+      original: best.original,
+      snippet: terms.length ? snippet(best.text, best.index, terms[0]) : { before: best.text.slice(0, SNIPPET_RADIUS * 2), match: "", after: best.text.length > SNIPPET_RADIUS * 2 ? "…" : "" },
+    });
+  }
+  hits.sort((a, b) => toMillis(b.message.timestamp) - toMillis(a.message.timestamp));
+  return hits.slice(0, MAX_RESULTS);
+}
@@ -0,0 +1,94 @@
+// Conversation transcripts for a stay, exported as JSON or printed to PDF.
+// PDF goes through the browser's print dialog ("Save as PDF") so every script we translate into
+// (Devanagari, CJK, ...) renders with the system fonts instead of a bundled Latin-only PDF font.
+
+import { isUnavailable } from "../shared/translation.js";
+
+const toIso = (t) => {
+  if (!t) return null;
+  const d = t.toDate ? t.toDate() : new Date(t);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// stay: { id, roomId, guestName, guestLanguage, checkedInAt, checkedOutAt }; messages in display order
+export function buildTranscript(stay, messages) {
+  return {
+    stayId: stay.id || null,
+    roomId: stay.roomId,
+    guestName: stay.guestName || null,
+    guestLanguage: stay.guestLanguage || null,
+    checkedInAt: toIso(stay.checkedInAt),
+    checkedOutAt: toIso(stay.checkedOutAt),
+    exportedAt: new Date().toISOString(),
+    // Staff notes never leave the hotel, even in a staff member's export
+    messages: messages.filter((m) => m.senderRole !== "note").map((m) => ({
+      id: m.originalMessageId || m.id,
+      sentAt: toIso(m.timestamp),
+      senderName: m.senderName || null,
+      senderRole: m.senderRole,
+      language: m.language?.code || null,
+      text: m.text,
+      attachment: m.attachment ? { name: m.attachment.name, contentType: m.attachment.contentType, url: m.attachment.url } : null,
+      // Failed translations are stored as a marker plus the original text; leave them out
+      translations: Object.fromEntries(
+        Object.entries(m.translations || {}).filter(([, t]) => t && !isUnavailable(t))
+      ),
+    })),
+  };
+}
+
+const fileName = (t, ext) => `room-${t.roomId}-${(t.checkedInAt || t.exportedAt).slice(0, 10)}.${ext}`;
+
+export function downloadTranscriptJson(transcript) {
+  const blob = new Blob([JSON.stringify(transcript, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName(transcript, "json");
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+// Must run inside a click handler, otherwise the popup is blocked
+export function printTranscript(transcript) {
+  const rows = transcript.messages
+    .map((m) => {
+      const translations = Object.entries(m.translations)
+        .map(([code, t]) => `<div class="tr"><span class="code">${escapeHtml(code)}</span> ${escapeHtml(t)}</div>`)
+        .join("");
+      return `<div class="msg ${escapeHtml(m.senderRole)}">
+  <div class="meta">${escapeHtml(m.senderName || m.senderRole)} · ${formatTime(m.sentAt)} · ${escapeHtml(m.language || "")}</div>
+  ${m.attachment ? `<div class="att"><a href="${escapeHtml(m.attachment.url)}">📎 ${escapeHtml(m.attachment.name)}</a></div>` : ""}
+  ${m.text ? `<div class="text">${escapeHtml(m.text)}</div>` : ""}${translations}
+</div>`;
+    })
+    .join("\n");
+
+  const win = window.open("", "_blank");
+  if (!win) throw new Error("Allow pop-ups to export the transcript as PDF.");
+  win.document.write(`<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(fileName(transcript, "pdf"))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; }
+  h1 { font-size: 1.25rem; margin: 0 0 .25rem; }
+  .stay { color: #555; font-size: .85rem; margin-bottom: 1.5rem; }
+  .msg { border-left: 3px solid #2563eb; padding: .25rem .75rem; margin-bottom: .75rem; break-inside: avoid; }
+  .msg.guest { border-color: #16a34a; }
+  .msg.system { border-color: #9ca3af; }
+  .meta { font-size: .75rem; color: #666; }
+  .att { font-size: .85rem; }
+  .tr { font-size: .85rem; color: #444; margin-top: .15rem; }
+  .code { font-family: monospace; font-size: .7rem; color: #888; }
+</style></head><body>
+<h1>Room ${escapeHtml(transcript.roomId)} — ${escapeHtml(transcript.guestName || "Guest")}</h1>
+<div class="stay">Checked in ${formatTime(transcript.checkedInAt)} · Checked out ${formatTime(transcript.checkedOutAt)}${transcript.stayId ? ` · Stay ${escapeHtml(transcript.stayId)}` : ""}</div>
+${rows || "<p>No messages.</p>"}
+</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
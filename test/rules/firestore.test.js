@@ -0,0 +1,168 @@
+// Security rules against the Firestore emulator; run through `npm run test:rules`, which starts it.
+// Guests are anonymous users whose user doc names the room they're checked into; everything they may
+// reach hangs off that roomId.
+import { test, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, addDoc, collection, query, where, arrayUnion, increment, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+const APP = 'artifacts/test-hotel';
+const HOUR = 60 * 60 * 1000;
+
+let env;
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-hotel-connect',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(() => env.cleanup());
+
+// guestA is in room 101, guestB in 102; 103 is vacant with a live QR code, 104's code has expired.
+// stayOld is an earlier guest's stay in 101.
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (ctx) => {
+    const db = ctx.firestore();
+    const later = Date.now() + HOUR;
+    await Promise.all([
+      setDoc(doc(db, `${APP}/staff/agent`), { role: 'agent', name: 'Agent' }),
+      setDoc(doc(db, `${APP}/users/guestA`), { name: 'Ana', roomId: '101', checkinNonce: 'n101' }),
+      setDoc(doc(db, `${APP}/users/guestB`), { name: 'Ben', roomId: '102', checkinNonce: 'n102' }),
+      setDoc(doc(db, `${APP}/users/guestC`), { name: 'Cleo', roomId: null }),
+      setDoc(doc(db, `${APP}/public/data/rooms/101`), { status: 'occupied', checkinNonce: 'n101', checkinExpiresAt: later, stayId: 'stayA', assigneeId: 'agent', guestLanguage: { code: 'es-ES', label: 'Spanish' } }),
+      setDoc(doc(db, `${APP}/public/data/rooms/102`), { status: 'occupied', checkinNonce: 'n102', checkinExpiresAt: later, stayId: 'stayB' }),
+      setDoc(doc(db, `${APP}/public/data/rooms/103`), { status: 'vacant', checkinNonce: 'n103', checkinExpiresAt: later }),
+      setDoc(doc(db, `${APP}/public/data/rooms/104`), { status: 'vacant', checkinNonce: 'n104', checkinExpiresAt: Date.now() - HOUR }),
+      setDoc(doc(db, `${APP}/public/data/messages/a1`), { roomId: '101', senderId: 'guestA', senderRole: 'guest', text: 'Hi' }),
+      setDoc(doc(db, `${APP}/public/data/messages/b1`), { roomId: '102', senderId: 'guestB', senderRole: 'guest', text: 'Hello' }),
+      setDoc(doc(db, `${APP}/public/data/messages/note1`), { roomId: '101', senderId: 'agent', senderRole: 'note', text: 'VIP' }),
+      setDoc(doc(db, `${APP}/public/data/messages/s1`), { roomId: '101', senderId: 'agent', senderRole: 'staff', text: 'Welcome', translations: { 'es-ES': 'Bienvenido' } }),
+      setDoc(doc(db, `${APP}/public/data/messages/s2`), { roomId: '101', senderId: 'agent', senderRole: 'staff', text: 'Enjoy', translations: { 'es-ES': '(Translation unavailable) Enjoy' } }),
+      setDoc(doc(db, `${APP}/public/data/requests/r1`), { roomId: '101', guestId: 'guestA', status: 'open' }),
+      setDoc(doc(db, `${APP}/public/data/requests/r2`), { roomId: '102', guestId: 'guestB', status: 'open' }),
+      setDoc(doc(db, `${APP}/public/data/stays/stayA`), { roomId: '101', guestIds: ['guestA'], status: 'active' }),
+      setDoc(doc(db, `${APP}/public/data/stays/stayB`), { roomId: '102', guestIds: ['guestB'], status: 'active' }),
+      setDoc(doc(db, `${APP}/public/data/stays/stayOld`), { roomId: '101', guestIds: ['guestOld'], status: 'closed' }),
+      setDoc(doc(db, `${APP}/public/data/archived_messages/old1`), { roomId: '101', stayId: 'stayOld', guestIds: ['guestOld'], senderRole: 'guest', text: 'Bye' }),
+      setDoc(doc(db, `${APP}/public/data/archived_messages/b0`), { roomId: '102', stayId: 'stayB', guestIds: ['guestB'], senderRole: 'guest', text: 'Earlier' })
+    ]);
+  });
+});
+
+const guest = (uid) => env.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+const staff = (uid) => env.authenticatedContext(uid, { firebase: { sign_in_provider: 'password' } }).firestore();
+const messages = (db) => collection(db, `${APP}/public/data/messages`);
+
+test('a guest reads their own room\'s messages but not another room\'s', async () => {
+  const db = guest('guestA');
+  await assertSucceeds(getDoc(doc(db, `${APP}/public/data/messages/a1`)));
+  await assertSucceeds(getDocs(query(messages(db), where('roomId', '==', '101'), where('senderRole', 'in', ['guest', 'staff', 'system']))));
+  await assertFails(getDoc(doc(db, `${APP}/public/data/messages/b1`)));
+  await assertFails(getDocs(query(messages(db), where('roomId', '==', '102'), where('senderRole', 'in', ['guest', 'staff', 'system']))));
+  await assertFails(getDoc(doc(db, `${APP}/public/data/rooms/102`)));
+});
+
+test('staff notes stay hidden from the room\'s guest', async () => {
+  await assertFails(getDoc(doc(guest('guestA'), `${APP}/public/data/messages/note1`)));
+  await assertSucceeds(getDoc(doc(staff('agent'), `${APP}/public/data/messages/note1`)));
+});
+
+test('a guest can\'t read another stay\'s archive', async () => {
+  const db = guest('guestA');
+  await assertFails(getDoc(doc(db, `${APP}/public/data/archived_messages/old1`)));
+  await assertFails(getDoc(doc(db, `${APP}/public/data/archived_messages/b0`)));
+  await assertFails(getDoc(doc(db, `${APP}/public/data/stays/stayB`)));
+  await assertSucceeds(getDoc(doc(guest('guestB'), `${APP}/public/data/archived_messages/b0`)));
+});
+
+test('a guest can\'t write another user\'s doc', async () => {
+  const db = guest('guestA');
+  await assertFails(updateDoc(doc(db, `${APP}/users/guestB`), { roomId: null }));
+  await assertFails(setDoc(doc(db, `${APP}/users/guestD`), { name: 'Mallory' }));
+  await assertFails(setDoc(doc(db, `${APP}/staff/guestA`), { role: 'admin' }));
+  await assertSucceeds(updateDoc(doc(db, `${APP}/users/guestA`), { name: 'Ana Ruiz' }));
+});
+
+test('a guest checks in only with the room\'s current, unexpired nonce', async () => {
+  const db = guest('guestC');
+  const me = doc(db, `${APP}/users/guestC`);
+  await assertFails(updateDoc(me, { roomId: '103', checkinNonce: 'guess' }));
+  await assertFails(updateDoc(me, { roomId: '103' }));
+  await assertFails(updateDoc(me, { roomId: '104', checkinNonce: 'n104' }));
+  await assertSucceeds(updateDoc(me, { roomId: '103', checkinNonce: 'n103' }));
+});
+
+test('a guest can\'t set the QR nonce or its expiry on their room', async () => {
+  const room = doc(guest('guestA'), `${APP}/public/data/rooms/101`);
+  await assertFails(updateDoc(room, { checkinNonce: 'mine' }));
+  await assertFails(updateDoc(room, { checkinExpiresAt: Date.now() + 24 * HOUR }));
+  await assertSucceeds(updateDoc(room, { checkinNonce: null }));
+});
+
+test('a guest posts only the system notices the app sends for them', async () => {
+  const db = guest('guestA');
+  const notice = (fields) => addDoc(messages(db), { roomId: '101', senderId: 'guestA', senderRole: 'system', ...fields });
+  await assertFails(notice({ text: 'Checkout is free today' }));
+  await assertFails(notice({ roomId: '102', text: 'Housekeeping request opened', requestId: 'r1' }));
+  await assertFails(notice({ text: 'Housekeeping request opened', requestId: 'r2' }));
+  await assertFails(notice({ senderId: 'agent', text: 'Housekeeping request opened', requestId: 'r1' }));
+  await assertFails(notice({ notice: 'language_switch', text: 'Checkout is free today' }));
+  await assertSucceeds(notice({ text: 'Housekeeping request opened (High priority).', requestId: 'r1' }));
+  await assertSucceeds(notice({ notice: 'language_switch', text: 'Ana switched the chat to Spanish.' }));
+  await assertFails(addDoc(messages(db), { roomId: '101', senderId: 'guestA', senderRole: 'staff', text: 'Checkout is free today' }));
+  await assertSucceeds(addDoc(messages(db), { roomId: '101', senderId: 'guestA', senderRole: 'guest', text: 'Thanks' }));
+});
+
+test('a guest fills in missing translations but can\'t rewrite existing ones', async () => {
+  const db = guest('guestA');
+  const s1 = doc(db, `${APP}/public/data/messages/s1`);
+  const s2 = doc(db, `${APP}/public/data/messages/s2`);
+  await assertFails(updateDoc(s1, { 'translations.es-ES': 'Checkout is free today' }));
+  await assertFails(updateDoc(s1, { 'translations.fr-FR': 'Bienvenue' }));
+  await assertFails(updateDoc(s1, { translations: {} }));
+  await assertSucceeds(updateDoc(s2, { 'translations.es-ES': 'Disfrute', 'translationMeta.es-ES': { provider: 'deepl' } }));
+  await assertSucceeds(updateDoc(s1, { 'readBy.guestA': true }));
+});
+
+test('a guest records only their own read and delivery receipts', async () => {
+  const s1 = doc(guest('guestA'), `${APP}/public/data/messages/s1`);
+  await assertFails(updateDoc(s1, { 'readBy.agent': true }));
+  await assertFails(updateDoc(s1, { 'deliveredTo.guestB': true }));
+  await assertFails(updateDoc(s1, { readBy: { guestA: true, agent: true } }));
+  await assertSucceeds(updateDoc(s1, { 'deliveredTo.guestA': true, 'readBy.guestA': true }));
+});
+
+test('a guest archives their stay only for that stay\'s guests', async () => {
+  const db = guest('guestA');
+  const archive = (id, fields) => setDoc(doc(db, `${APP}/public/data/archived_messages/${id}`), { roomId: '101', stayId: 'stayA', guestIds: ['guestA'], senderRole: 'guest', text: 'Hi', ...fields });
+  await assertFails(archive('x1', { guestIds: ['guestA', 'guestB'] }));
+  await assertFails(archive('x2', { stayId: 'stayB' }));
+  await assertFails(archive('x3', { roomId: '102', stayId: 'stayB', guestIds: ['guestB'] }));
+  await assertFails(archive('x4', { senderRole: 'note' }));
+  await assertSucceeds(archive('a1', {}));
+});
+
+test('a guest joins only their room\'s current stay, and only as themselves', async () => {
+  const db = guest('guestA');
+  await assertFails(updateDoc(doc(db, `${APP}/public/data/stays/stayOld`), { guestIds: arrayUnion('guestA') }));
+  const stayA = doc(db, `${APP}/public/data/stays/stayA`);
+  await assertFails(updateDoc(stayA, { guestIds: arrayUnion('guestB') }));
+  await assertFails(updateDoc(stayA, { guestIds: [] }));
+  await assertSucceeds(updateDoc(stayA, { guestIds: arrayUnion('guestA'), status: 'closed' }));
+});
+
+test('a guest\'s room writes are limited to sending; routing stays with staff', async () => {
+  const room = doc(guest('guestA'), `${APP}/public/data/rooms/101`);
+  const send = (fields) => updateDoc(room, { lastMessageRole: 'guest', lastMessagePreview: 'Hi', messageCount: increment(1), updatedAt: serverTimestamp(), ...fields });
+  await assertFails(send({ awaitingSince: Timestamp.fromMillis(Date.now() - HOUR) }));
+  await assertFails(send({ lastMessageRole: 'staff', awaitingSince: null }));
+  await assertFails(send({ department: 'housekeeping' }));
+  await assertFails(updateDoc(room, { assigneeId: null }));
+  await assertFails(updateDoc(room, { status: 'vacant' }));
+  await assertFails(updateDoc(room, { stayId: 'stayOld' }));
+  await assertSucceeds(send({ awaitingSince: serverTimestamp() }));
+  await assertSucceeds(updateDoc(room, { guestLanguage: { code: 'fr-FR', label: 'French' }, updatedAt: serverTimestamp() }));
+});
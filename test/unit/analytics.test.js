@@ -0,0 +1,80 @@
+// node --test: supervisor analytics over a hand-built day of messages, and the CSV it exports
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyticsCsv, computeAnalytics } from '../../src/analytics.js';
+
+const MIN = 60 * 1000;
+const T0 = new Date(2026, 4, 1, 9, 0).getTime();
+const SPANISH = { label: 'Spanish', code: 'es-ES' };
+
+const guest = (roomId, at, fields = {}) => ({ roomId, senderRole: 'guest', senderId: `guest-${roomId}`, language: SPANISH, timestamp: T0 + at * MIN, ...fields });
+const reply = (roomId, at, senderId, fields = {}) => ({ roomId, senderRole: 'staff', senderId, senderName: senderId, timestamp: T0 + at * MIN, ...fields });
+
+test('response times start at the first unanswered guest message and credit the next reply', () => {
+  const report = computeAnalytics([
+    guest('101', 0),
+    guest('101', 2), // still waiting since minute 0
+    reply('101', 4, 'ana'),
+    guest('101', 10),
+    reply('101', 16, 'ben'),
+    reply('101', 17, 'ben'), // nothing to answer
+    guest('102', 0, { stayId: 'stay2' }),
+    reply('102', 8, 'ana', { stayId: 'stay2' })
+  ]);
+  const ana = report.staff.find((s) => s.id === 'ana');
+  const ben = report.staff.find((s) => s.id === 'ben');
+  assert.deepEqual([ana.replies, ana.avgResponseMs, ana.firstResponses, ana.avgFirstResponseMs], [2, 6 * MIN, 2, 6 * MIN]);
+  assert.deepEqual([ben.replies, ben.avgResponseMs, ben.firstResponses], [1, 6 * MIN, 0]);
+  assert.equal(report.overall.avgResponseMs, 6 * MIN);
+  assert.equal(report.overall.avgFirstResponseMs, 6 * MIN);
+});
+
+test('volume counts guest and staff messages by hour, room and language; notes and system messages are left out', () => {
+  const report = computeAnalytics(
+    [
+      guest('101', 0),
+      guest('101', 70, { senderId: 'guest-b', language: { label: 'French', code: 'fr-FR' } }),
+      reply('101', 75, 'ana'),
+      guest('102', 5),
+      { roomId: '101', senderRole: 'note', senderId: 'ana', timestamp: T0 },
+      { roomId: '101', senderRole: 'system', senderId: 'ana', timestamp: T0 },
+      { roomId: '101', senderRole: 'guest', senderId: 'x' } // no timestamp yet
+    ],
+    [{ id: '101', floor: '1', type: 'Suite' }]
+  );
+  assert.deepEqual(report.totals, { messages: 4, guestMessages: 3, staffMessages: 1, conversations: 2 });
+  assert.deepEqual(report.byHour[9], { hour: 9, guest: 2, staff: 0 });
+  assert.deepEqual(report.byHour[10], { hour: 10, guest: 1, staff: 1 });
+  assert.deepEqual(report.rooms[0], { roomId: '101', messages: 3, guestMessages: 2, floor: '1', type: 'Suite' });
+  assert.deepEqual(report.rooms[1], { roomId: '102', messages: 1, guestMessages: 1, floor: '', type: '' });
+  assert.deepEqual(report.languages, [
+    { code: 'es-ES', label: 'Spanish', guests: 2, messages: 2 },
+    { code: 'fr-FR', label: 'French', guests: 1, messages: 1 }
+  ]);
+});
+
+test('the failure rate counts messages with an unavailable translation; mock-only ones count as untranslated', () => {
+  const report = computeAnalytics([
+    reply('101', 0, 'ana', { translations: { 'es-ES': 'Hola' }, translationMeta: { 'es-ES': { provider: 'deepl' } } }),
+    reply('101', 1, 'ana', { translations: { 'es-ES': '(Translation unavailable) Hello', 'fr-FR': 'Bonjour' } }),
+    reply('101', 2, 'ana', { translations: { 'es-ES': 'Hello' }, translationMeta: { 'es-ES': { provider: 'mock' } } }),
+    reply('101', 3, 'ana')
+  ]);
+  assert.deepEqual(report.translation, { messages: 3, failed: 1, untranslated: 1, failureRate: 1 / 3 });
+});
+
+test('the CSV export quotes commas, quotes and line breaks in names and room ids', () => {
+  const report = computeAnalytics(
+    [guest('A,1', 0), reply('A,1', 3, 'x', { senderName: 'Ana "Front desk", Lobby' }), guest('B"2', 0), reply('B"2', 1, 'y', { senderName: 'Ben\r\nNight' })],
+    []
+  );
+  const csv = analyticsCsv(report, { from: '2026-05-01', to: '2026-05-02' });
+  const lines = csv.split('\n');
+  assert.equal(lines[0], 'Hotel analytics,2026-05-01,2026-05-02');
+  assert.ok(lines.includes('"Ana ""Front desk"", Lobby",1,3.0,1,3.0'));
+  assert.ok(csv.includes('"Ben\r\nNight",1,1.0,1,1.0'));
+  assert.ok(lines.includes('"A,1",,,2,1'));
+  assert.ok(lines.includes('"B""2",,,2,1'));
+  assert.ok(lines.includes('All staff,,2.0,,2.0'));
+  assert.ok(csv.endsWith('\n'));
+});
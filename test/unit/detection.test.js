@@ -0,0 +1,54 @@
+// node --test: the guest language-switch prompt, fed by what the mock provider detects
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { translateMany } from '../../api/_lib/translator.js';
+import { DETECTION_STREAK, detectedLanguageOf, suggestLanguage } from '../../src/detection.js';
+
+const ENGLISH = { label: 'English', code: 'en-US' };
+const SPANISH = { label: 'Spanish', code: 'es-ES' };
+const OFFERED = [ENGLISH, SPANISH, { label: 'French', code: 'fr-FR' }];
+
+before(() => {
+  process.env.TRANSLATE_PROVIDERS = 'mock';
+});
+
+// What Chat's deliver() stores for a guest who kept English but typed `text`
+async function guestMessage(text, targets = []) {
+  const { translations, detectedLang } = await translateMany({ text, sourceLang: ENGLISH.code, targetLangs: targets });
+  return {
+    senderId: 'guest',
+    language: ENGLISH,
+    text,
+    detectedLang,
+    translationMeta: Object.fromEntries(Object.entries(translations).map(([code, r]) => [code, { provider: r.provider, detectedLang: r.detectedLang }]))
+  };
+}
+
+const spanish = ['Hola, necesito más toallas por favor', 'La habitación está muy fría', 'Gracias, ¿a qué hora es el desayuno?'];
+
+test('three messages detected as Spanish prompt a guest on English to switch', async () => {
+  const messages = await Promise.all(spanish.map((t) => guestMessage(t)));
+  assert.equal(messages.length, DETECTION_STREAK);
+  assert.deepEqual(messages.map(detectedLanguageOf), ['es', 'es', 'es']);
+  assert.deepEqual(suggestLanguage(messages, { senderId: 'guest', currentLanguage: ENGLISH, offered: OFFERED }), SPANISH);
+});
+
+test('detection also comes through translation metadata', async () => {
+  const messages = await Promise.all(spanish.map((t) => guestMessage(t, ['de-DE'])));
+  const fromMeta = messages.map(({ detectedLang, ...m }) => m);
+  assert.deepEqual(suggestLanguage(fromMeta, { senderId: 'guest', currentLanguage: ENGLISH, offered: OFFERED }), SPANISH);
+});
+
+test('no prompt for a mixed streak, a declined or unoffered language, or someone else\'s messages', async () => {
+  const messages = await Promise.all(spanish.map((t) => guestMessage(t)));
+  const mixed = [...messages.slice(0, 2), await guestMessage('Can I have a late checkout please?')];
+  assert.equal(suggestLanguage(mixed, { senderId: 'guest', currentLanguage: ENGLISH, offered: OFFERED }), null);
+  assert.equal(suggestLanguage(messages, { senderId: 'guest', currentLanguage: ENGLISH, offered: OFFERED, declined: ['es-ES'] }), null);
+  assert.equal(suggestLanguage(messages, { senderId: 'guest', currentLanguage: ENGLISH, offered: [ENGLISH] }), null);
+  assert.equal(suggestLanguage(messages, { senderId: 'other', currentLanguage: ENGLISH, offered: OFFERED }), null);
+});
+
+test('no prompt once the guest writes in the language they chose', async () => {
+  const messages = await Promise.all(['Hello there', 'The room is cold', 'Thank you for the help'].map((t) => guestMessage(t)));
+  assert.equal(suggestLanguage(messages, { senderId: 'guest', currentLanguage: ENGLISH, offered: OFFERED }), null);
+});
@@ -0,0 +1,75 @@
+// node --test: the hotel glossary around a provider, and the suggestions drawn from staff corrections
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { protectTerms, restoreTerms } from '../../api/_lib/glossary.js';
+import { translate } from '../../api/_lib/translator.js';
+import { keptPhrases } from '../../src/glossary.js';
+
+const realFetch = globalThis.fetch;
+const env = { ...process.env };
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  process.env = { ...env };
+});
+
+const glossary = (entries, version = 'v1') => ({ entries, version });
+const LOUNGE = { term: 'Lounge', doNotTranslate: false, translations: { 'es-ES': 'Salón' } };
+const CLUB_LOUNGE = { term: 'Club Lounge', doNotTranslate: true, translations: {} };
+
+test('terms become numbered placeholders and come back as the glossary has them', () => {
+  const { text, found } = protectTerms('Drinks in the Club Lounge, then the Lounge.', glossary([LOUNGE, CLUB_LOUNGE]), 'en-US');
+  assert.equal(text, 'Drinks in the [#0], then the [#1].');
+  assert.deepEqual(found.map((f) => f.match), ['Club Lounge', 'Lounge']);
+  assert.equal(restoreTerms('Bebidas en el [#0] y luego en el [#1].', found, 'es-ES'), 'Bebidas en el Club Lounge y luego en el Salón.');
+  // A target with no translation gets the term itself
+  assert.equal(restoreTerms('[#1]', found, 'fr-FR'), 'Lounge');
+});
+
+test('the longest overlapping term wins, whole words only', () => {
+  const { text, found } = protectTerms('Club Lounges are not the Club Lounge', glossary([LOUNGE, CLUB_LOUNGE]), 'en-US');
+  assert.equal(text, 'Club Lounges are not the [#0]');
+  assert.equal(found[0].entry, CLUB_LOUNGE);
+});
+
+test('case variants match and are restored in the glossary\'s spelling', () => {
+  const { text, found } = protectTerms('see you at the CLUB lounge', glossary([CLUB_LOUNGE]), 'en-US');
+  assert.equal(text, 'see you at the [#0]');
+  assert.equal(found[0].match, 'CLUB lounge');
+  assert.equal(restoreTerms('nos vemos en el [#0]', found, 'es-ES'), 'nos vemos en el Club Lounge');
+});
+
+test('a source-language translation of a term is protected too', () => {
+  const { text, found } = protectTerms('Nos vemos en el Salón', glossary([LOUNGE]), 'es-MX');
+  assert.equal(text, 'Nos vemos en el [#0]');
+  assert.equal(restoreTerms('See you in the [#0]', found, 'en-US'), 'See you in the Lounge');
+});
+
+test('placeholders a provider spaced out or re-bracketed are still restored; unknown ones are left alone', () => {
+  const { found } = protectTerms('the Club Lounge and the Lounge', glossary([LOUNGE, CLUB_LOUNGE]), 'en-US');
+  assert.equal(restoreTerms('el [ # 0 ] y el ［#1］', found, 'es-ES'), 'el Club Lounge y el Salón');
+  assert.equal(restoreTerms('【#1】 [#7]', found, 'es-ES'), 'Salón [#7]');
+});
+
+test('translate() puts terms back after a provider that mangles the brackets', async () => {
+  process.env.TRANSLATE_PROVIDERS = 'deepl';
+  process.env.DEEPL_API_KEY = 'test:fx';
+  let sent;
+  globalThis.fetch = async (url, init) => {
+    sent = new URLSearchParams(init.body).get('text');
+    return new Response(JSON.stringify({ translations: [{ text: 'クラブ［# 0］でお会いしましょう', detected_source_language: 'EN' }] }), { status: 200 });
+  };
+  const r = await translate({ text: 'See you at the Club Lounge (glossary)', targetLang: 'ja-JP', glossary: glossary([CLUB_LOUNGE], 'v-mangled') });
+  assert.equal(sent, 'See you at the [#0] (glossary)');
+  assert.equal(r.translated, 'クラブClub Loungeでお会いしましょう');
+});
+
+test('corrections that put source words back verbatim suggest glossary terms', () => {
+  const kept = keptPhrases({
+    sourceText: 'Breakfast is served at Sea Breeze Terrace.',
+    machine: 'El desayuno se sirve en la Terraza Brisa Marina.',
+    corrected: 'El desayuno se sirve en Sea Breeze Terrace.'
+  });
+  assert.deepEqual(kept, ['Sea Breeze Terrace']);
+  assert.deepEqual(keptPhrases({ sourceText: 'Thanks', machine: 'Gracias', corrected: 'Muchas gracias' }), []);
+});
@@ -0,0 +1,35 @@
+// node --test: which colleagues an internal note's @mentions notify
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mentionsIn } from '../../src/mentions.js';
+
+const STAFF = [
+  { id: 'ana', name: 'Ana' },
+  { id: 'ana-ruiz', name: 'Ana Ruiz' },
+  { id: 'ben', name: 'Ben' },
+  { id: 'jose', name: 'José' },
+  { id: 'no-name' }
+];
+
+test('each @ takes the longest whole name after it', () => {
+  assert.deepEqual(mentionsIn('@Ana Ruiz can you check?', STAFF), ['ana-ruiz']);
+  assert.deepEqual(mentionsIn('@Ana and @ben, VIP arriving', STAFF), ['ana', 'ben']);
+});
+
+test('names match case-insensitively, accents included, and only as whole words', () => {
+  assert.deepEqual(mentionsIn('thanks @JOSÉ!', STAFF), ['jose']);
+  assert.deepEqual(mentionsIn('@Benito is not Ben', STAFF), []);
+  assert.deepEqual(mentionsIn('@Anabel said hi', STAFF), []);
+  assert.deepEqual(mentionsIn('mail ana@hotel.com or Ben', STAFF), []);
+});
+
+test('a name mentioned twice notifies once; no @ means nobody', () => {
+  assert.deepEqual(mentionsIn('@Ben @ben @Ben.', STAFF), ['ben']);
+  assert.deepEqual(mentionsIn('Ana Ruiz will handle it', STAFF), []);
+});
+
+test('among namesakes the one picked from the suggestions wins', () => {
+  const twins = [{ id: 'sam-front', name: 'Sam' }, { id: 'sam-spa', name: 'Sam' }];
+  assert.deepEqual(mentionsIn('@Sam please', twins, ['sam-spa']), ['sam-spa']);
+  assert.deepEqual(mentionsIn('@Sam please', twins), ['sam-front']);
+});
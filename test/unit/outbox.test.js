@@ -0,0 +1,17 @@
+// node --test: which send failures keep a message queued and which count against its attempts
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isNetworkError } from '../../src/outbox.js';
+
+test('connectivity failures wait for the network', () => {
+  assert.ok(isNetworkError(new TypeError('Failed to fetch')));
+  assert.ok(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.')));
+  assert.ok(isNetworkError(new TypeError('Load failed')));
+  assert.ok(isNetworkError(Object.assign(new Error('Could not reach Cloud Firestore backend'), { code: 'unavailable' })));
+});
+
+test('programming errors and denials are not retried as network failures', () => {
+  assert.equal(isNetworkError(new TypeError("Cannot read properties of undefined (reading 'code')")), false);
+  assert.equal(isNetworkError(Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' })), false);
+  assert.equal(isNetworkError(null), false);
+});
@@ -0,0 +1,41 @@
+// node --test: the room inventory CSV import, fed the way spreadsheets and PMS exports write it
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoomsCsv } from '../../src/rooms.js';
+
+test('reads the header columns in any order and derives the floor from the room number', () => {
+  const { rows, errors } = parseRoomsCsv('Type,Room,Out of order\nSuite,101,no\nDouble,1204,yes\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [
+    { id: '101', floor: '1', type: 'Suite', outOfOrder: false },
+    { id: '1204', floor: '12', type: 'Double', outOfOrder: true }
+  ]);
+});
+
+test('rows only carry outOfOrder when the CSV has that column', () => {
+  assert.deepEqual(parseRoomsCsv('room,floor\nA1,G').rows, [{ id: 'A1', floor: 'G', type: '' }]);
+});
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+  const { rows, errors } = parseRoomsCsv('room,type,floor\n101,"Double, sea view",1\n102,"The ""Blue"" room",1\n103,"Twin\nconnecting",1\n104,,1');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows.map((r) => r.type), ['Double, sea view', 'The "Blue" room', 'Twin\nconnecting', '']);
+  assert.deepEqual(rows.map((r) => r.floor), ['1', '1', '1', '1']);
+});
+
+test('handles a byte-order mark, CRLF line endings and blank lines', () => {
+  const { rows, errors } = parseRoomsCsv('\uFEFFroom,type\r\n101,Suite\r\n\r\n  \r\n102,Twin\r\n');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows.map((r) => [r.id, r.type]), [['101', 'Suite'], ['102', 'Twin']]);
+});
+
+test('errors name the line in the file, counting blank lines and quoted line breaks', () => {
+  const { rows, errors } = parseRoomsCsv('room,type\n101,"Twin\nconnecting"\n\n1 02,Suite\n101,Double\n');
+  assert.deepEqual(rows.map((r) => r.id), ['101']);
+  assert.deepEqual(errors, ['Line 5: "1 02" is not a valid room number.', 'Line 6: room 101 is already listed on line 2.']);
+});
+
+test('a file without a room column is rejected', () => {
+  assert.deepEqual(parseRoomsCsv('number,type\n101,Suite'), { rows: [], errors: ['The first line must be a header with a "room" column.'] });
+  assert.equal(parseRoomsCsv('').errors.length, 1);
+});
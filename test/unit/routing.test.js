@@ -0,0 +1,52 @@
+// node --test: who a conversation is routed to, and when it is escalated
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SLA_MINUTES, isOverdue, pickAssignee, slaMinutesOf } from '../../api/_lib/routing.js';
+
+const member = (id, fields) => ({ id, role: 'agent', onDuty: true, language: { code: 'en-US' }, departments: ['front_desk'], ...fields });
+const SPANISH = { label: 'Spanish', code: 'es-ES' };
+
+test('only staff on duty are picked', () => {
+  const members = [
+    member('off', { onDuty: false, language: SPANISH }),
+    member('guest', { role: undefined, language: SPANISH }),
+    member('on')
+  ];
+  assert.equal(pickAssignee(members, { language: SPANISH }).id, 'on');
+  assert.equal(pickAssignee([member('off', { onDuty: false })], { language: SPANISH }), null);
+});
+
+test('the guest\'s language beats department, which beats load', () => {
+  const members = [
+    member('dept', { departments: ['housekeeping'] }),
+    member('lang', { language: { code: 'es-MX' }, departments: [] }),
+    member('both', { language: { code: 'es-ES' }, departments: ['housekeeping'] }),
+  ];
+  const loads = new Map([['both', 5], ['lang', 0], ['dept', 0]]);
+  assert.equal(pickAssignee(members, { language: SPANISH, department: 'housekeeping', loads }).id, 'both');
+  assert.equal(pickAssignee(members.slice(0, 2), { language: SPANISH, department: 'housekeeping', loads }).id, 'lang');
+  assert.equal(pickAssignee(members.slice(0, 1).concat(member('desk')), { language: SPANISH, department: 'housekeeping' }).id, 'dept');
+});
+
+test('among equals the least loaded is picked, and the department defaults to the front desk', () => {
+  const members = [member('busy'), member('idle'), member('kitchen', { departments: ['room_service'] })];
+  assert.equal(pickAssignee(members, { language: SPANISH, loads: new Map([['busy', 3], ['idle', 1]]) }).id, 'idle');
+});
+
+const at = (ms) => ({ toMillis: () => ms });
+
+test('a room is overdue once its guest has waited the hotel\'s reply time', () => {
+  const now = 1_000_000_000;
+  const waiting = { lastMessageRole: 'guest', awaitingSince: at(now - 10 * 60000) };
+  assert.equal(isOverdue(waiting, 10, now), true);
+  assert.equal(isOverdue(waiting, 11, now), false);
+  assert.equal(isOverdue({ ...waiting, escalatedAt: at(now) }, 10, now), false);
+  assert.equal(isOverdue({ ...waiting, lastMessageRole: 'staff' }, 10, now), false);
+  assert.equal(isOverdue({ lastMessageRole: 'guest' }, 10, now), false);
+});
+
+test('hotels without a valid reply time get the default', () => {
+  assert.equal(slaMinutesOf({ slaMinutes: 5 }), 5);
+  assert.equal(slaMinutesOf({ slaMinutes: 0 }), DEFAULT_SLA_MINUTES);
+  assert.equal(slaMinutesOf(undefined), DEFAULT_SLA_MINUTES);
+});
@@ -0,0 +1,63 @@
+// node --test: staff message search over originals and stored translations
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_RESULTS, searchMessages } from '../../src/search.js';
+
+const SPANISH = { label: 'Spanish', code: 'es-ES' };
+const ENGLISH = { label: 'English', code: 'en-US' };
+const T0 = Date.UTC(2026, 4, 1, 9);
+
+const message = (id, fields) => ({ id, roomId: '101', senderRole: 'guest', senderName: 'Ana', source: 'live', timestamp: T0, ...fields });
+const NO_FILTERS = { text: '', roomId: '', guestName: '', role: '' };
+const search = (messages, filters, readerLang = 'en-US', rooms = []) => searchMessages(messages, rooms, { ...NO_FILTERS, ...filters }, readerLang);
+
+const towels = message('m1', {
+  text: 'Necesito más toallas, por favor',
+  language: SPANISH,
+  translations: { 'en-US': 'I need more towels, please', 'fr-FR': 'J\'ai besoin de plus de serviettes' }
+});
+
+test('matches the original text, ignoring case and accents', () => {
+  const [hit] = search([towels], { text: 'MAS TOALLAS' });
+  assert.equal(hit.original, true);
+  assert.equal(hit.code, 'es-ES');
+  assert.equal(hit.snippet.match, 'más');
+});
+
+test('matches a stored translation, showing the reader\'s own language when it matches', () => {
+  const [hit] = search([towels], { text: 'towels' });
+  assert.equal(hit.original, false);
+  assert.equal(hit.code, 'en-US');
+  assert.equal(hit.snippet.match, 'towels');
+  assert.deepEqual(search([towels], { text: 'serviettes' }).map((h) => h.code), ['fr-FR']);
+});
+
+test('every word has to appear in the same version of the message', () => {
+  assert.equal(search([towels], { text: 'towels toallas' }).length, 0);
+  assert.equal(search([towels], { text: 'need towels' }).length, 1);
+});
+
+test('failed translations are never matched', () => {
+  const failed = message('m2', { text: 'Hola', language: SPANISH, translations: { 'en-US': '(Translation unavailable) Hola' } });
+  assert.equal(search([failed], { text: 'unavailable' }).length, 0);
+});
+
+test('room, role and guest filters narrow the results, and work without words', () => {
+  const messages = [
+    towels,
+    message('m3', { roomId: '102', senderName: 'Ben', text: 'More towels', language: ENGLISH }),
+    message('m4', { senderRole: 'staff', senderName: 'Agent', text: 'Towels are on the way', language: ENGLISH })
+  ];
+  assert.deepEqual(search(messages, { roomId: '102' }).map((h) => h.message.id), ['m3']);
+  assert.deepEqual(search(messages, { role: 'staff' }).map((h) => h.message.id), ['m4']);
+  assert.deepEqual(search(messages, { text: 'towels', guestName: 'ben' }).map((h) => h.message.id), ['m3']);
+  assert.equal(search(messages, { text: 'towels', guestName: 'ana' }).length, 2);
+});
+
+test('results are newest first and capped at MAX_RESULTS', () => {
+  const many = Array.from({ length: MAX_RESULTS + 25 }, (_, i) => message(`m${i}`, { text: `Towels please ${i}`, language: ENGLISH, timestamp: T0 + i * 1000 }));
+  const hits = search(many, { text: 'towels' });
+  assert.equal(hits.length, MAX_RESULTS);
+  assert.equal(hits[0].message.id, `m${MAX_RESULTS + 24}`);
+  assert.equal(hits.at(-1).message.id, 'm25');
+});
@@ -0,0 +1,63 @@
+// node --test: translation providers and the fallback chain, without network access
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { translate, translateMany } from '../../api/_lib/translator.js';
+import { guessLanguage } from '../../api/_lib/detect.js';
+
+const realFetch = globalThis.fetch;
+const env = { ...process.env };
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  process.env = { ...env };
+});
+
+test('the mock provider detects what was written, not what the sender chose', async () => {
+  process.env.TRANSLATE_PROVIDERS = 'mock';
+  const r = await translate({ text: 'Hola, necesito más toallas en la habitación por favor', sourceLang: 'en-US', targetLang: 'de-DE' });
+  assert.equal(r.provider, 'mock');
+  assert.equal(r.detectedLang, 'es');
+  assert.equal(r.confidence, 0);
+});
+
+test('DeepL is asked to detect the source and its answer is reported', async () => {
+  process.env.TRANSLATE_PROVIDERS = 'deepl';
+  process.env.DEEPL_API_KEY = 'test:fx';
+  let sent;
+  globalThis.fetch = async (url, init) => {
+    sent = new URLSearchParams(init.body);
+    return new Response(JSON.stringify({ translations: [{ text: 'Hello, I need more towels', detected_source_language: 'ES' }] }), { status: 200 });
+  };
+  const r = await translate({ text: 'Hola, necesito más toallas (deepl)', sourceLang: 'en-US', targetLang: 'fr-FR' });
+  assert.equal(sent.has('source_lang'), false);
+  assert.equal(r.detectedLang, 'es');
+});
+
+test('a provider that reports no language gives unknown rather than the sender\'s choice', async () => {
+  process.env.TRANSLATE_PROVIDERS = 'google';
+  process.env.GOOGLE_TRANSLATE_API_KEY = 'key';
+  let body;
+  globalThis.fetch = async (url, init) => {
+    body = JSON.parse(init.body);
+    return new Response(JSON.stringify({ data: { translations: [{ translatedText: 'Bonjour' }] } }), { status: 200 });
+  };
+  const r = await translate({ text: 'Hello (google)', sourceLang: 'en-US', targetLang: 'fr-FR' });
+  assert.equal('source' in body, false);
+  assert.equal(r.detectedLang, 'unknown');
+});
+
+test('translateMany with no targets only detects', async () => {
+  process.env.TRANSLATE_PROVIDERS = 'mock';
+  const r = await translateMany({ text: 'Bonjour, je voudrais un taxi pour demain', sourceLang: 'en-US', targetLangs: [] });
+  assert.deepEqual(r.translations, {});
+  assert.equal(r.detectedLang, 'fr');
+});
+
+test('guessLanguage tells scripts and common Latin languages apart', () => {
+  assert.equal(guessLanguage('Can I get a late checkout please?'), 'en');
+  assert.equal(guessLanguage('Danke, das Zimmer ist sehr schön'), 'de');
+  assert.equal(guessLanguage('タオルをお願いします'), 'ja');
+  assert.equal(guessLanguage('我需要毛巾'), 'zh');
+  assert.equal(guessLanguage('कृपया तौलिया'), 'hi');
+  assert.equal(guessLanguage('42'), null);
+});
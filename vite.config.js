@@ -1,6 +1,27 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// public/ is copied as-is, so the service worker's cache name is stamped after the bundle is written.
+// The id hashes the content-hashed asset names: it changes exactly when the app does.
+function stampServiceWorker() {
+  let outDir
+  return {
+    name: 'stamp-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    writeBundle(_, bundle) {
+      const file = resolve(outDir, 'sw.js')
+      const id = createHash('sha256').update(Object.keys(bundle).sort().join('\n')).digest('hex').slice(0, 12)
+      writeFileSync(file, readFileSync(file, 'utf8').replace('__BUILD_ID__', id))
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), stampServiceWorker()]
 })